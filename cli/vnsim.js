@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+/* =========================================================
+   vnsim: ejecuta programas de la máquina de Von Neumann sin navegador
+   Uso:
+     vnsim <programa.asm | imagen.json> [opciones]
+   Opciones:
+     --max-instr N       presupuesto de instrucciones (por defecto 10000)
+     --mem-size N        celdas de memoria al ensamblar (por defecto 16)
+     --word-bits 8|16    ancho de palabra del ACC (por defecto 16)
+     --var NOMBRE=valor  variable extra para el ensamblador (repetible)
+     --input 1,2,3       cola de entrada para IN
+     --on-empty pause|fault  IN con la cola vacía: detenerse esperando (pause) o fallar
+     --trace text|json|csv  imprime la traza completa por fase (eventos de trace.js)
+     --strict            modo estricto: escribir sobre código o ejecutar datos es un error
+     --stats             imprime ciclos, instrucciones y accesos a memoria, y los
+                         ciclos del mismo programa en Harvard (stderr)
+     --pipeline          imprime ciclos y riesgos del pipeline de 3 etapas (stderr)
+     --cache L:B[:V[:wb|wt]]  caché de L líneas de B palabras, V vías (1 = directa)
+                         y write-back/write-through; con --stats imprime aciertos y fallos
+     --no-forwarding     pipeline sin adelantamiento de registros
+     --timer N           temporizador: interrupción cada N instrucciones (el programa
+                         la atiende con EI y .vector; TMR n lo reprograma)
+     --device TIPO[@DIR] dispositivo de E/S mapeado en memoria (repetible): leds,
+                         sevenSeg o terminal; sin @DIR va debajo del vector de
+                         interrupción. La pantalla de la terminal sale por stdout
+     --keys TEXTO        teclas iniciales del búfer de la terminal
+     --disasm            imprime el desensamblado de la imagen y termina
+     --exercise ej.json  califica el programa con los casos del ejercicio (memSize,
+                         wordBits y vars salen del ejercicio, no de las opciones)
+     --lang es|en        idioma de los mensajes (por defecto el de LANG; si no, es)
+   Códigos de salida:
+     0 HLT normal · 1 error de uso/archivo/ensamblado
+     2 instrucción inválida · 3 presupuesto agotado · 4 error de pila
+     5 entrada agotada (IN sin valores) · 6 algún caso del ejercicio falló
+     7 escritura sobre código / ejecución de datos (con --strict)
+   ========================================================= */
+import { readFileSync } from "node:fs";
+import { parseArgs } from "node:util";
+import { createCpuState, defaultMemSize, instrText, interruptVector, parseData } from "../src/utils/cpuHelpers.js";
+import { assemble, formatAsmError } from "../src/utils/assembler.js";
+import { runProgram, DEFAULT_MAX_INSTRUCTIONS } from "../src/utils/runner.js";
+import { WORD_SIZES, defaultWordBits } from "../src/utils/alu.js";
+import { disassemble } from "../src/utils/encoding.js";
+import { gradeProgram, parseExercise } from "../src/utils/grader.js";
+import { summarizeStats } from "../src/utils/stats.js";
+import { describeEvent, traceEvent, traceToCSV } from "../src/utils/trace.js";
+import { DEFAULT_LANG, LANGUAGES, msg, translate } from "../src/utils/i18n.js";
+import { retiredFromTrace, schedulePipeline } from "../src/utils/pipeline.js";
+import { BLOCK_SIZES, LINE_COUNTS, WAY_OPTIONS, createCache, summarizeCache } from "../src/utils/cache.js";
+import { TIMER_MAX, createTimer } from "../src/utils/interrupts.js";
+import { DEVICE_TYPES, createIo, defaultDeviceBase, normalizeDevices, reservedRanges, typeKeys } from "../src/utils/devices.js";
+import "../src/utils/customIsa.js";
+
+// Idioma de los mensajes (--lang o LANG); todo sale de los catálogos de i18n.js
+const LANG_IDS = LANGUAGES.map((l) => l.id);
+let lang = DEFAULT_LANG;
+const t = (message, params) => translate(lang, message, params);
+
+// --lang X / --lang=X (se mira antes de parseArgs para traducir también sus errores) o LANG / LC_*
+function pickLang(argv, env) {
+  const at = argv.findIndex((a) => a === "--lang" || a.startsWith("--lang="));
+  if (at >= 0) return argv[at].includes("=") ? argv[at].split("=")[1] : argv[at + 1];
+  const fromEnv = (env.LC_ALL || env.LC_MESSAGES || env.LANG || "").slice(0, 2);
+  return LANG_IDS.includes(fromEnv) ? fromEnv : DEFAULT_LANG;
+}
+
+const EXIT = { HALTED: 0, USAGE: 1, FAULT: 2, BUDGET: 3, STACK: 4, INPUT: 5, FAILED: 6, STRICT: 7 };
+const EXIT_BY_STATUS = { halted: EXIT.HALTED, budget: EXIT.BUDGET, waiting: EXIT.INPUT };
+const EXIT_BY_FAULT = { INVALID: EXIT.FAULT, STACK_OVERFLOW: EXIT.STACK, STACK_UNDERFLOW: EXIT.STACK, INPUT_EMPTY: EXIT.INPUT,
+  WRITE_CODE: EXIT.STRICT, EXEC_DATA: EXIT.STRICT,
+};
+
+// Error de uso: mensaje del catálogo ("cli.*") o texto ya armado
+function fail(message, params) {
+  console.error(t(message, params));
+  process.exit(EXIT.USAGE);
+}
+
+function toPositiveInt(txt, name) {
+  const n = Number(txt);
+  if (!Number.isInteger(n) || n <= 0) fail("cli.positiveInt", { name, value: txt });
+  return n;
+}
+
+// --cache LÍNEAS:BLOQUE[:VÍAS[:wb|wt]] → configuración de cache.js
+function parseCacheOption(txt) {
+  const [lines, blockSize, ways = "1", policy = "wb"] = txt.split(":");
+  const config = { enabled: true, lines: Number(lines), blockSize: Number(blockSize), ways: Number(ways), writePolicy: { wb: "back", wt: "through" }[policy] };
+  const ok = LINE_COUNTS.includes(config.lines) && BLOCK_SIZES.includes(config.blockSize)
+    && WAY_OPTIONS.includes(config.ways) && config.ways <= config.lines && config.writePolicy;
+  if (!ok) fail("cli.cache", { lines: LINE_COUNTS.join("/"), blocks: BLOCK_SIZES.join("/"), ways: WAY_OPTIONS.join("/"), value: txt });
+  return config;
+}
+
+// --device TIPO[@DIR] (repetible) → configuración de devices.js
+function parseDevices(list, limit) {
+  const devices = list.map((txt) => {
+    const [type, base] = txt.split("@");
+    if (!DEVICE_TYPES.includes(type)) fail("cli.device", { types: DEVICE_TYPES.join("|"), value: txt });
+    return { type, base: base === undefined ? defaultDeviceBase(type, limit) : Number(base) };
+  });
+  const valid = normalizeDevices(devices, limit);
+  const dropped = devices.find((d) => !valid.some((v) => v.type === d.type && v.base === d.base));
+  if (dropped) fail("cli.deviceInvalid", { ...dropped, limit });
+  return valid;
+}
+
+// Imagen de memoria: arreglo JSON o { memory: [...] }
+function loadImage(text, file) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    fail("cli.badJson", { file, error: err.message });
+  }
+  const memory = Array.isArray(data) ? data : data?.memory;
+  if (!Array.isArray(memory)) fail("cli.badImage", { file });
+  return { memory, tags: {} };
+}
+
+function readText(file) {
+  try {
+    return readFileSync(file, "utf8");
+  } catch (err) {
+    fail("cli.readError", { file, error: err.message });
+  }
+}
+
+// Imagen + etiquetas de código/datos (solo el ensamblador las conoce)
+function loadProgram(file, { memSize, vars, reserved }) {
+  const text = readText(file);
+  if (file.toLowerCase().endsWith(".json")) return loadImage(text, file);
+
+  const result = assemble(text, { memSize, vars, reserved });
+  if (!result.ok) {
+    result.errors.forEach((err) => console.error(`${file}: ${formatAsmError(err, lang)}`));
+    process.exit(EXIT.USAGE);
+  }
+  return { memory: result.memory, tags: result.tags };
+}
+
+function main(argv) {
+  const requested = pickLang(argv, process.env);
+  if (!LANG_IDS.includes(requested)) fail("cli.lang", { langs: LANG_IDS.join("|"), value: String(requested) });
+  lang = requested;
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        "max-instr": { type: "string" },
+        "mem-size": { type: "string" },
+        "word-bits": { type: "string" },
+        var: { type: "string", multiple: true },
+        input: { type: "string" },
+        "on-empty": { type: "string" },
+        trace: { type: "string" },
+        stats: { type: "boolean" },
+        pipeline: { type: "boolean" },
+        cache: { type: "string" },
+        "no-forwarding": { type: "boolean" },
+        timer: { type: "string" },
+        device: { type: "string", multiple: true },
+        keys: { type: "string" },
+        strict: { type: "boolean" },
+        disasm: { type: "boolean" },
+        exercise: { type: "string" },
+        lang: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (err) {
+    fail(`${err.message}\n${t("cli.usage")}`);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(t("cli.usage"));
+    return EXIT.HALTED;
+  }
+  if (positionals.length !== 1) fail("cli.usage");
+  if (values.trace && !["text", "json", "csv"].includes(values.trace)) fail("cli.trace");
+  const inputPolicy = values["on-empty"] ?? "pause";
+  if (!["pause", "fault"].includes(inputPolicy)) fail("cli.onEmpty");
+  const inputs = (values.input ?? "").split(/[\s,]+/).filter(Boolean).map(Number);
+  if (inputs.some((n) => !Number.isFinite(n))) fail("cli.input", { value: values.input });
+
+  const maxInstructions = values["max-instr"] ? toPositiveInt(values["max-instr"], "--max-instr") : DEFAULT_MAX_INSTRUCTIONS;
+  const memSize = values["mem-size"] ? toPositiveInt(values["mem-size"], "--mem-size") : defaultMemSize;
+  const wordBits = values["word-bits"] ? Number(values["word-bits"]) : defaultWordBits;
+  if (!WORD_SIZES.includes(wordBits)) fail("cli.wordBits", { sizes: WORD_SIZES.join("|") });
+  const timerPeriod = values.timer ? toPositiveInt(values.timer, "--timer") : 0;
+  if (timerPeriod > TIMER_MAX) fail("cli.timer", { max: TIMER_MAX, value: values.timer });
+  const vars = {};
+  (values.var ?? []).forEach((pair) => {
+    const [name, value] = pair.split("=");
+    if (!name || value === undefined || !Number.isFinite(Number(value))) fail("cli.var", { value: pair });
+    vars[name.toUpperCase()] = Number(value);
+  });
+
+  if (values.exercise) {
+    // El ejercicio fija memoria, palabra y variables de cada caso
+    const option = ["mem-size", "word-bits", "var"].find((name) => values[name] !== undefined);
+    if (option) fail("cli.exerciseOption", { option: `--${option}` });
+    return gradeExercise(positionals[0], values.exercise);
+  }
+
+  const devices = parseDevices(values.device ?? [], interruptVector(memSize));
+  if (values.keys && !devices.some((d) => d.type === "terminal")) fail("cli.keys");
+  const { memory, tags } = loadProgram(positionals[0], { memSize, vars, reserved: reservedRanges(devices) });
+  if (values.disasm) {
+    console.log(disassemble(memory));
+    return EXIT.HALTED;
+  }
+  const trace = [];
+  const onStep = values.trace || values.pipeline
+    ? ({ prev, state, action }) => trace.push(traceEvent(prev, state, action))
+    : undefined;
+
+  const cache = values.cache ? createCache(parseCacheOption(values.cache)) : null;
+  const cpu = { ...createCpuState(memory), tags, inputs, inputPolicy, wordBits, strictTags: Boolean(values.strict), cache,
+    timer: createTimer(timerPeriod), io: values.keys ? typeKeys(createIo(devices), values.keys) : createIo(devices),
+  };
+  const { state, status, steps, instructions } = runProgram(cpu, { maxInstructions, onStep });
+
+  if (values.trace === "csv") {
+    console.log(traceToCSV(trace));
+  } else if (values.trace === "json") {
+    console.log(JSON.stringify({ status, fault: state.fault, steps, instructions, outputs: state.outputs, stats: state.stats, trace }, null, 2));
+  } else {
+    if (values.trace === "text") {
+      trace.forEach((e) => console.log(`#${e.cycle} ${e.phase.padEnd(7)} PC=${e.pc} ACC=${e.accAfter} | ${describeEvent(e, lang)}`));
+    }
+    state.outputs.forEach((v) => console.log(v));
+    if (status === "fault") console.error(t("cli.fault", { fault: msg(`cli.fault.${state.fault}`), pc: state.pc, ir: instrText(state.ir) }));
+    if (status === "budget") console.error(t("cli.budget", { n: instructions }));
+    if (status === "waiting") console.error(t("cli.waiting", { pc: state.pc }));
+  }
+  if (values.stats) printStats(state.stats);
+  if (values.stats && state.cache) printCache(state.cache);
+  if (state.io) printDevices(state);
+  if (values.pipeline) printPipeline(trace, { forwarding: !values["no-forwarding"], memory: state.memory });
+  if (status === "fault") return EXIT_BY_FAULT[state.fault] ?? EXIT.FAULT;
+  return EXIT_BY_STATUS[status];
+}
+
+// Resumen de estadísticas en stderr (stdout queda solo con las salidas)
+function printStats(stats) {
+  const s = summarizeStats(stats);
+  console.error(t("cli.stats", { cycles: s.cycles, instructions: s.instructions, cpi: s.cpi.toFixed(2) }));
+  console.error(t("cli.accesses", { accesses: s.accesses, fetch: stats.fetchReads, reads: stats.dataReads, writes: stats.dataWrites }));
+  console.error(t("cli.byOp", { ops: s.byOp.map(([op, n]) => `${op}×${n}`).join(" ") || "—" }));
+  console.error(t("cli.harvard", {
+    cycles: s.harvardCycles, cpi: s.harvardCpi.toFixed(2), overlaps: s.overlaps, speedup: s.speedup.toFixed(2),
+  }));
+}
+
+// Aciertos, fallos y tráfico de la caché (stderr)
+function printCache(cache) {
+  const s = summarizeCache(cache);
+  const c = cache.counters;
+  console.error(t("cli.cacheCounters", { ...c, accesses: s.accesses, rate: (s.hitRate * 100).toFixed(1) }));
+  console.error(t("cli.cacheTraffic", { ...c, amat: s.amat.toFixed(2) }));
+}
+
+// Estado final de los dispositivos: LEDs y display por stderr, pantalla de la terminal por stdout
+function printDevices(state) {
+  state.io.devices.forEach(({ type, base }) => {
+    const value = parseData(state.memory[base]);
+    const bits = state.wordBits;
+    if (type === "leds") {
+      const word = (value & ((1 << bits) - 1)).toString(2).padStart(bits, "0");
+      console.error(t("cli.leds", { base, bits: word.replace(/1/g, "●").replace(/0/g, "○") }));
+    }
+    if (type === "sevenSeg") console.error(t("cli.sevenSeg", { base, value }));
+    if (type === "terminal") process.stdout.write(state.io.screen);
+  });
+}
+
+// Pipeline de 3 etapas sobre las instrucciones completadas (stderr)
+function printPipeline(trace, options) {
+  const p = schedulePipeline(retiredFromTrace(trace), options);
+  console.error(t(msg("pipe.summary", { cycles: p.cycles, sequential: p.sequentialCycles, speedup: p.speedup.toFixed(2), cpi: p.cpi.toFixed(2) })));
+  console.error(t(msg("pipe.counts", p.counts)));
+  p.hazards.forEach((h) => console.error(`  #${h.cycle} ${t(h.message)}`));
+}
+
+// Califica el código fuente con los casos del ejercicio (una línea por caso + diferencias)
+function gradeExercise(file, exerciseFile) {
+  const parsed = parseExercise(readText(exerciseFile));
+  if (!parsed.ok) fail(`${exerciseFile}: ${t(parsed.error)}`);
+  const { cases, passed, total } = gradeProgram(readText(file), parsed.exercise);
+
+  const show = (v) => (v === undefined ? "—" : v);
+  cases.forEach((c) => {
+    console.log(`${c.pass ? "✔" : "✘"} ${t(c.name)}: ${t(c.message)}`);
+    (c.errors ?? []).forEach((err) => console.log(`    ${formatAsmError(err, lang)}`));
+    const diff = (what, d) => console.log(`    ${t("cli.diff", { what, expected: show(d.expected), actual: show(d.actual) })}`);
+    c.outputs.filter((o) => !o.pass).forEach((o) => diff(`OUT #${o.index + 1}`, o));
+    c.memory.filter((m) => !m.pass).forEach((m) => diff(m.key, m));
+  });
+  console.log(t("cli.total", { passed, total }));
+  return passed === total ? EXIT.HALTED : EXIT.FAILED;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,37 @@
+import React from "react";
+import { summarizeStats } from "../utils/stats";
+
+/* Von Neumann vs. Harvard lado a lado para la ejecución actual:
+   mismas fases de step(); en Harvard el Fetch siguiente se solapa con el
+   acceso a datos (ver harvard.js), así que cuesta menos ciclos */
+export default function ArchCompare({ stats, t }) {
+  const s = summarizeStats(stats);
+  const cpi = (x) => (s.instructions ? x.toFixed(2) : "—");
+  const rows = [
+    ["compare.cycles", s.cycles, s.harvardCycles],
+    ["compare.cpi", cpi(s.cpi), cpi(s.harvardCpi)],
+    ["compare.buses", t("compare.busesVN"), t("compare.busesH")],
+    ["compare.traffic", s.accesses, `${stats.fetchReads} | ${stats.dataReads + stats.dataWrites}`],
+    ["compare.overlaps", "—", s.overlaps],
+  ];
+
+  return (
+    <div>
+      <table className="isa-table compare-table">
+        <thead>
+          <tr><th /><th>{t("arch.vonNeumann")}</th><th>{t("arch.harvard")}</th></tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, vn, h]) => (
+            <tr key={label}><td>{t(label)}</td><td>{vn}</td><td>{h}</td></tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="muted" style={{ fontSize: ".8rem", marginTop: ".5rem" }}>
+        {s.cycles
+          ? t("compare.speedup", { saved: s.overlaps, speedup: s.speedup.toFixed(2) })
+          : t("compare.none")}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+import React from "react";
+import { instrText } from "../utils/cpuHelpers";
+
+const BUSES = ["address", "data", "control"];
+
+// Registro destino de una microoperación ("MAR ← PC" → "MAR")
+function destOf(text) {
+  const m = /^(\w+)(\[\w+\])?\s*←/.exec(text ?? "");
+  return m ? m[1] : null;
+}
+
+/* Vista RTL: CPU (PC, IR, ACC, MAR, MDR) ↔ memoria por los tres buses.
+   - active: { micro, index } de la fase en curso (activeMicro del reducer)
+   - El bus de la microoperación activa se resalta y su valor viaja en el
+     sentido del bus (CPU → memoria o memoria → CPU)
+   - Debajo, la lista de microoperaciones de la fase (traducidas con t) */
+export default function BusDiagram({ cpu, active, t }) {
+  const current = active ? active.micro[active.index] : null;
+  const mar = current ? current.mar : cpu.mar ?? 0;
+  const mdr = current ? current.mdr : cpu.mdr ?? 0;
+  const dest = destOf(current && t(current.text));
+  const regs = [
+    ["PC", cpu.pc], ["IR", instrText(cpu.ir)], ["ACC", cpu.acc], ["MAR", mar], ["MDR", mdr],
+  ];
+
+  return (
+    <div>
+      <div className="rtl">
+        <div className="rtl-box">
+          <div className="label">CPU</div>
+          {regs.map(([name, value]) => (
+            <div key={name} className={`rtl-reg ${dest === name ? "on" : ""}`}>
+              <span>{name}</span><b>{String(value)}</b>
+            </div>
+          ))}
+        </div>
+
+        <div className="rtl-buses">
+          {BUSES.map((bus) => {
+            const on = current?.bus === bus;
+            return (
+              <div key={bus} className={`bus ${bus} ${on ? "on" : ""}`}>
+                <span className="bus-label">{t(`bus.${bus}`)}</span>
+                <div className="bus-line">
+                  {on && current.value !== null && (
+                    // key: reinicia la animación en cada microoperación
+                    <span key={active.index} className={`bus-token ${current.dir ?? ""}`}>{String(current.value)}</span>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="rtl-box">
+          <div className="label">{t("card.memory")}</div>
+          <div className={`rtl-reg ${dest === "M" ? "on" : ""}`}>
+            <span>M[{mar}]</span><b>{(cpu.memory[mar] ?? "") === "" ? t("ui.empty") : instrText(cpu.memory[mar])}</b>
+          </div>
+        </div>
+      </div>
+
+      <ol className="micro-list">
+        {active ? active.micro.map((m, k) => (
+          <li key={k} className={k === active.index ? "on" : k < active.index ? "done" : ""}>{t(m.text)}</li>
+        )) : <li className="muted">{t("bus.hint")}</li>}
+      </ol>
+    </div>
+  );
+}
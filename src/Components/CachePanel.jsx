@@ -0,0 +1,104 @@
+import React from "react";
+import { BLOCK_SIZES, LINE_COUNTS, MISS_PENALTY, WAY_OPTIONS, WRITE_POLICIES, locate, summarizeCache } from "../utils/cache";
+
+const pct = (x) => `${Math.round(x * 100)}%`;
+
+/* Caché entre la CPU y la memoria (ver cache.js): configuración, líneas con
+   etiqueta y bits V/D, contadores de aciertos/fallos y los accesos del último
+   paso (las líneas tocadas se resaltan en verde si acertaron y en rojo si no).
+   - config / onConfig: configuración actual y cambio (vacía la caché) */
+export default function CachePanel({ cache, config, onConfig, t }) {
+  const set = (changes) => onConfig({ ...config, ...changes });
+  const select = (key, options, label, text = (o) => o) => (
+    <label className="quick-label">
+      {t(label)}{" "}
+      <select
+        className="quick-select"
+        value={config[key]}
+        disabled={!config.enabled}
+        onChange={(e) => set({ [key]: key === "writePolicy" ? e.target.value : Number(e.target.value) })}
+      >
+        {options.map((o) => <option key={o} value={o}>{text(o)}</option>)}
+      </select>
+    </label>
+  );
+
+  return (
+    <div>
+      <div className="quick-row">
+        <label className="quick-label">
+          <input type="checkbox" checked={config.enabled} onChange={(e) => set({ enabled: e.target.checked })} />{" "}
+          {t("cache.enabled")}
+        </label>
+        {select("lines", LINE_COUNTS, "cache.lines")}
+        {select("blockSize", BLOCK_SIZES, "cache.blockSize")}
+        {select("ways", WAY_OPTIONS.filter((w) => w <= config.lines), "cache.mapping",
+          (w) => (w === 1 ? t("cache.direct") : t("cache.ways", { n: w })))}
+        {select("writePolicy", WRITE_POLICIES, "cache.write", (p) => t(`cache.${p}`))}
+      </div>
+      {cache ? <CacheLines cache={cache} t={t} /> : <div className="muted">{t("cache.off")}</div>}
+    </div>
+  );
+}
+
+function CacheLines({ cache, t }) {
+  const { config, lines, counters, events } = cache;
+  const s = summarizeCache(cache);
+  const touched = new Map(events.filter((e) => e.line !== null).map((e) => [e.line, e.hit ? "hit" : "miss"]));
+
+  return (
+    <>
+      <table className="isa-table cache-table">
+        <thead>
+          <tr>
+            <th>{t("cache.line")}</th>
+            <th>{t("cache.set")}</th>
+            <th>V</th>
+            <th>D</th>
+            <th>{t("cache.tag")}</th>
+            <th>{t("cache.block")}</th>
+            <th>{t("cache.data")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((l, i) => {
+            const start = l.valid ? l.block * config.blockSize : null;
+            return (
+              <tr key={i} className={touched.get(i) ?? ""}>
+                <td>{i}</td>
+                <td>{Math.floor(i / config.ways)}</td>
+                <td>{l.valid ? 1 : 0}</td>
+                <td>{l.dirty ? 1 : 0}</td>
+                <td>{l.valid ? l.tag : "—"}</td>
+                <td>{l.valid ? `${start}–${start + config.blockSize - 1}` : "—"}</td>
+                <td>{l.valid ? l.data.map((d) => (d === "" ? "·" : d)).join(" | ") : ""}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <ul className="cache-events">
+        {events.length === 0 && <li className="muted">{t("cache.none")}</li>}
+        {events.map((e, i) => {
+          const { set, tag } = locate(config, e.addr);
+          const note = e.line === null
+            ? t("cache.noAllocate")
+            : e.evicted && t(e.evicted.dirty ? "cache.evictDirty" : "cache.evict", e.evicted);
+          return (
+            <li key={i} className={e.hit ? "hit" : "miss"}>
+              {t(`cache.kind.${e.kind}`)} [{e.addr}] → {t("cache.set")} {set}, {t("cache.tag")} {tag}:{" "}
+              <strong>{t(e.hit ? "cache.hit" : "cache.miss")}</strong>
+              {e.line !== null && ` (${t("cache.line")} ${e.line})`}
+              {note && ` · ${note}`}
+            </li>
+          );
+        })}
+      </ul>
+      <div className="muted" style={{ fontSize: ".8rem" }}>
+        {t("cache.counters", { ...counters, accesses: s.accesses, hitRate: pct(s.hitRate) })}
+        <br />
+        {t("cache.traffic", { ...counters, amat: s.amat.toFixed(2), penalty: MISS_PENALTY })}
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,88 @@
+import React, { useRef } from "react";
+import { tokenizeLine } from "../utils/syntax";
+
+/* Editor de ensamblador: resaltado de sintaxis, números de línea y errores.
+   - Un <textarea> transparente encima de un <pre> resaltado (mismo tamaño de letra),
+     así se conserva la edición nativa (deshacer, selección, pegar)
+   - errors: errores del ensamblador → marca en el margen, fondo de línea y
+     subrayado del fragmento en la columna del error
+   - pcLine: línea de la instrucción en PC (según el source map)
+   - selectedLine / onLineClick: clic en el texto elige una línea; en el margen
+     también la desmarca (onLineClick(null))
+   - t: traduce los mensajes de error (i18n.js) */
+export default function CodeEditor({ value, onChange, errors = [], pcLine, selectedLine, onLineClick, rows = 8, t }) {
+  const preRef = useRef(null);
+  const gutterRef = useRef(null);
+  const lines = value.split("\n");
+
+  const errorsByLine = {};
+  errors.forEach((e) => {
+    if (e.line) (errorsByLine[e.line] ??= []).push(e);
+  });
+
+  // El resaltado y el margen se desplazan junto con el textarea
+  function syncScroll(e) {
+    preRef.current.scrollTop = e.target.scrollTop;
+    preRef.current.scrollLeft = e.target.scrollLeft;
+    gutterRef.current.scrollTop = e.target.scrollTop;
+  }
+
+  // Línea donde quedó el cursor tras el clic
+  function clickText(e) {
+    const line = e.target.value.slice(0, e.target.selectionStart).split("\n").length;
+    onLineClick?.(line);
+  }
+
+  const lineClass = (n) => [
+    n === pcLine && "pc", errorsByLine[n] && "err", n === selectedLine && "sel",
+  ].filter(Boolean).join(" ");
+
+  return (
+    <div className="code-editor" style={{ height: `calc(${rows} * 1.5em + 1.2rem)` }}>
+      <div className="code-gutter" ref={gutterRef}>
+        {lines.map((_, i) => {
+          const n = i + 1;
+          const errs = errorsByLine[n];
+          return (
+            <div
+              key={n}
+              className={`gutter-line ${lineClass(n)}`}
+              title={errs ? errs.map((e) => t(e.message)).join("\n") : undefined}
+              onClick={() => onLineClick?.(n === selectedLine ? null : n)}
+            >
+              {errs ? "● " : n === pcLine ? "▶ " : ""}{n}
+            </div>
+          );
+        })}
+      </div>
+      <div className="code-body">
+        <pre className="code-highlight" ref={preRef} aria-hidden="true">
+          {lines.map((text, i) => {
+            const n = i + 1;
+            const badCols = (errorsByLine[n] ?? []).map((e) => e.col);
+            let col = 1;
+            return (
+              <div key={n} className={`code-line ${lineClass(n)}`}>
+                {text === "" ? " " : tokenizeLine(text).map((tok, k) => {
+                  const start = col;
+                  col += tok.text.length;
+                  const bad = badCols.some((c) => c >= start && c < col) && tok.type !== "text";
+                  return <span key={k} className={`tok-${tok.type} ${bad ? "tok-bad" : ""}`}>{tok.text}</span>;
+                })}
+              </div>
+            );
+          })}
+        </pre>
+        <textarea
+          className="code-input"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          onScroll={syncScroll}
+          onClick={clickText}
+          spellCheck={false}
+          wrap="off"
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import React, { useRef, useState } from "react";
+import { interruptVector } from "../utils/cpuHelpers";
+import { DEVICE_SIZES, DEVICE_TYPES, defaultDeviceBase, deviceRange, normalizeDevices } from "../utils/devices";
+
+/* Qué dispositivos de E/S hay y en qué dirección (ver devices.js).
+   Los rangos van por debajo del vector de interrupción. La dirección se
+   aplica al salir del campo o con Enter; si se superpone con otro
+   dispositivo o no entra, el campo vuelve a la dirección anterior.
+   - devices / onChange: configuración actual y cambio (reinicia su estado) */
+export default function DeviceConfig({ devices, memSize, onChange, t }) {
+  const limit = interruptVector(memSize);
+  const find = (type) => devices.find((d) => d.type === type);
+  const toggle = (type, on) => onChange(on
+    ? [...devices, { type, base: defaultDeviceBase(type, limit) }]
+    : devices.filter((d) => d.type !== type));
+  const move = (type, base) => {
+    const moved = devices.map((d) => (d.type === type ? { ...d, base } : d));
+    if (normalizeDevices(moved, limit).length === moved.length) onChange(moved);
+  };
+
+  return (
+    <div>
+      {DEVICE_TYPES.map((type) => {
+        const device = find(type);
+        const range = device && deviceRange(device);
+        return (
+          <div key={type} className="quick-row">
+            <label className="quick-label">
+              <input type="checkbox" checked={Boolean(device)} onChange={(e) => toggle(type, e.target.checked)} />{" "}
+              {t(`dev.${type}`)}
+            </label>
+            {device && (
+              <label className="quick-label dev-base">
+                {t("dev.base")}{" "}
+                <BaseInput
+                  value={device.base}
+                  max={limit - DEVICE_SIZES[type]}
+                  onCommit={(base) => move(type, base)}
+                />
+                {range.to > range.from && <span className="muted"> – {range.to}</span>}
+              </label>
+            )}
+          </div>
+        );
+      })}
+      <div className="muted" style={{ fontSize: ".8rem" }}>{t("dev.help", { limit })}</div>
+    </div>
+  );
+}
+
+// Dirección base: se edita un borrador y se aplica al salir o con Enter (Escape lo descarta)
+function BaseInput({ value, max, onCommit }) {
+  const [draft, setDraft] = useState(null);
+  const cancelRef = useRef(false);
+
+  function commit() {
+    if (!cancelRef.current && draft !== null && draft !== "" && Number(draft) !== value) onCommit(Number(draft));
+    cancelRef.current = false;
+    setDraft(null);
+  }
+
+  return (
+    <input
+      type="number"
+      min={0}
+      max={max}
+      value={draft ?? value}
+      onChange={(e) => setDraft(e.target.value)}
+      onFocus={() => setDraft(String(value))}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") { cancelRef.current = true; e.currentTarget.blur(); }
+      }}
+    />
+  );
+}
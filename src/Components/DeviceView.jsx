@@ -0,0 +1,80 @@
+import React, { useState } from "react";
+import { parseData } from "../utils/cpuHelpers";
+import { deviceRange } from "../utils/devices";
+
+// Segmentos encendidos por carácter (a arriba, g al medio, en sentido horario)
+const SEGMENTS = {
+  0: "abcdef", 1: "bc", 2: "abdeg", 3: "abcdg", 4: "bcfg",
+  5: "acdfg", 6: "acdefg", 7: "abc", 8: "abcdefg", 9: "abcdfg", "-": "g",
+};
+
+/* Un dispositivo de E/S mapeado en memoria (ver devices.js): LEDs y display
+   se dibujan desde su celda; la terminal, desde su pantalla y su teclado.
+   - onKeys(texto): agrega teclas al búfer de la terminal */
+export default function DeviceView({ device, cpu, onKeys, t }) {
+  const { from, to } = deviceRange(device);
+  const value = parseData(cpu.memory[device.base]);
+  const hint = t(`dev.${device.type}Hint`, { base: from, status: to });
+
+  return (
+    <div>
+      {device.type === "leds" && <LedBar value={value} bits={cpu.wordBits} />}
+      {device.type === "sevenSeg" && <SevenSegment value={value} digits={cpu.wordBits === 8 ? 4 : 6} />}
+      {device.type === "terminal" && <Terminal io={cpu.io} onKeys={onKeys} t={t} />}
+      <div className="muted dev-hint">{hint}</div>
+    </div>
+  );
+}
+
+// Un LED por bit (el más significativo a la izquierda), en complemento a dos
+function LedBar({ value, bits }) {
+  const word = value & ((1 << bits) - 1);
+  return (
+    <div className="leds">
+      {Array.from({ length: bits }, (_, k) => bits - 1 - k).map((bit) => (
+        <span key={bit} className={`led ${(word >> bit) & 1 ? "on" : ""}`} title={`bit ${bit}`} />
+      ))}
+      <span className="led-value">{value}</span>
+    </div>
+  );
+}
+
+// Valor en decimal alineado a la derecha
+function SevenSegment({ value, digits }) {
+  const text = String(value).slice(-digits).padStart(digits, " ");
+  return (
+    <div className="seven-seg" title={String(value)}>
+      {Array.from(text).map((ch, i) => (
+        <span key={i} className="seg-digit">
+          {Array.from("abcdefg").map((s) => (
+            <span key={s} className={`seg seg-${s} ${SEGMENTS[ch]?.includes(s) ? "on" : ""}`} />
+          ))}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Pantalla de caracteres y búfer de teclado
+function Terminal({ io, onKeys, t }) {
+  const [text, setText] = useState("");
+  const send = () => {
+    onKeys(text + "\n");
+    setText("");
+  };
+  return (
+    <>
+      <pre className="term-screen">{io.screen}<span className="term-cursor">▌</span></pre>
+      <div className="input-row">
+        <input
+          value={text}
+          placeholder={t("dev.keysPlaceholder")}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter") send(); }}
+        />
+        <button className="btn" onClick={send}>{t("dev.send")}</button>
+      </div>
+      <div className="muted">{t("dev.keysPending", { n: io.keys.length })}</div>
+    </>
+  );
+}
@@ -0,0 +1,17 @@
+import React from "react";
+
+const FLAGS = ["Z", "N", "C", "V"];
+
+/* Registro de banderas: cada bandera encendida se resalta (t: textos de i18n.js) */
+export default function FlagsReg({ flags, t }) {
+  return (
+    <div className="reg">
+      <div className="label">Flags</div>
+      <div className="value flags">
+        {FLAGS.map((f) => (
+          <span key={f} className={`flag ${flags?.[f] ? "on" : ""}`} title={t(`flag.${f}`)}>{f}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
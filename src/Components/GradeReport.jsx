@@ -0,0 +1,55 @@
+import React from "react";
+import { formatAsmError } from "../utils/assembler";
+
+const show = (v) => (v === undefined ? "—" : String(v));
+
+/* Resultado de calificar: un bloque por caso con ✔/✘ y, si falla,
+   la diferencia esperado vs. obtenido de OUT y de las celdas revisadas.
+   Nombres, mensajes y errores son mensajes de i18n.js (se muestran con t) */
+export default function GradeReport({ report, t, lang }) {
+  return (
+    <div className="grade">
+      <div className={`grade-total ${report.passed === report.total ? "pass" : "fail"}`}>
+        {t("grade.total", { passed: report.passed, total: report.total })}
+      </div>
+      {report.cases.map((c, i) => (
+        <div key={i} className={`grade-case ${c.pass ? "pass" : "fail"}`}>
+          <div className="grade-head">
+            <span>{c.pass ? "✔" : "✘"} {t(c.name)}</span>
+            <span className="muted">{t(c.message)}{c.instructions !== undefined && ` · ${t("grade.instructions", { n: c.instructions })}`}</span>
+          </div>
+          {c.errors?.length > 0 && (
+            <ul className="asm-errors">
+              {c.errors.map((err, k) => <li key={k}>{formatAsmError(err, lang)}</li>)}
+            </ul>
+          )}
+          {!c.pass && c.outputs.length > 0 && (
+            <table className="grade-diff">
+              <thead><tr><th>OUT #</th><th>{t("grade.expected")}</th><th>{t("grade.actual")}</th></tr></thead>
+              <tbody>
+                {c.outputs.map((o) => (
+                  <tr key={o.index} className={o.pass ? "" : "bad"}>
+                    <td>{o.index + 1}</td><td>{show(o.expected)}</td><td>{show(o.actual)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {!c.pass && c.memory.length > 0 && (
+            <table className="grade-diff">
+              <thead><tr><th>{t("grade.cell")}</th><th>{t("grade.expected")}</th><th>{t("grade.actual")}</th></tr></thead>
+              <tbody>
+                {c.memory.map((m) => (
+                  <tr key={m.key} className={m.pass ? "" : "bad"}>
+                    <td>{m.key}{m.addr !== null && String(m.addr) !== m.key ? ` [${m.addr}]` : ""}</td>
+                    <td>{show(m.expected)}</td><td>{show(m.actual)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
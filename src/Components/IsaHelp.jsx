@@ -0,0 +1,32 @@
+import React from "react";
+import { instructionList } from "../utils/isa";
+
+/* Ayuda del juego de instrucciones: se genera de la tabla de isa.js,
+   así que también lista las instrucciones registradas por el curso */
+export default function IsaHelp({ t }) {
+  return (
+    <table className="isa-table">
+      <thead>
+        <tr>
+          <th>{t("isa.opcode")}</th>
+          <th>{t("isa.mnemonic")}</th>
+          <th>{t("isa.operand")}</th>
+          <th>{t("isa.description")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {instructionList().map((ins) => (
+          <tr key={ins.mnemonic} className={ins.custom ? "custom" : ""}>
+            <td>{ins.opcode}</td>
+            <td><code>{ins.mnemonic}</code></td>
+            <td><code>{t(`isa.kind.${ins.operand}`)}</code></td>
+            <td>
+              {t(ins.description)}
+              {ins.custom && <span className="chip" style={{ marginLeft: ".4rem" }}>{t("isa.custom")}</span>}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -1,23 +1,185 @@
-import React from "react";
+import React, { useRef, useState } from "react";
+import { formatAddr } from "../utils/cpuHelpers";
+import { CELL_VIEWS, formatCell } from "../utils/encoding";
+import { ISA } from "../utils/isa";
+
+const PAGE_SIZE = 64; // Celdas por página (memorias grandes se muestran paginadas)
+
+/* Grilla de memoria.
+   - Clic en la dirección: activa/desactiva breakpoint
+   - "W": watchpoint de escritura · "→": ejecutar hasta esa celda
+   - Memorias de más de 64 celdas se paginan; "Seguir PC" muestra la página del PC
+   - stack ({limit, base}) marca la región de pila; sp, el tope actual
+   - Vista de celdas: mnemónico, decimal, hex o binario (opcode | modo | operando)
+   - heat ({ reads, writes } de las estadísticas): "Mapa de accesos" tiñe cada
+     celda según sus lecturas (azul, mitad izquierda) y escrituras (naranja)
+   - linked: celdas de la línea elegida en el editor (se muestra su página)
+   - tags / cellAlerts: "Código/datos" colorea las celdas según su etiqueta; las
+     escrituras sobre código y los datos ejecutados siempre se marcan
+   - range ([desde, hasta)): muestra solo esas celdas (memorias separadas del
+     modo Harvard); las direcciones siguen siendo las de la memoria completa
+   - t: textos de la interfaz (i18n.js) */
+export default function MemoryGrid({
+  memory, pc, target, op, onEdit, sp, stack, heat, linked = [], tags = {}, cellAlerts = {}, range, t,
+  breakpoints = [], watches = [], onToggleBreakpoint, onToggleWatch, onRunTo,
+}) {
+  const [hex, setHex] = useState(false);         // Direcciones en decimal/hexadecimal
+  const [view, setView] = useState("mnemonic");  // Cómo se muestra el contenido de las celdas
+  const [followPC, setFollowPC] = useState(true); // La página sigue al PC
+  const [page, setPage] = useState(0);           // Página elegida a mano
+  const [gotoText, setGotoText] = useState("");
+  const [focusAddr, setFocusAddr] = useState(null); // Celda resaltada por "Ir a"
+  const [showHeat, setShowHeat] = useState(false); // Mapa de calor de accesos
+  const [showTags, setShowTags] = useState(false); // Colores de código/datos
+  const [shownLinked, setShownLinked] = useState(linked);
+  const [from, to] = range ?? [0, memory.length];
+  const inRange = (addr) => addr >= from && addr < to;
+
+  // Nueva línea elegida en el editor: se salta a la página de su celda
+  if (linked !== shownLinked) {
+    setShownLinked(linked);
+    const first = linked.find(inRange);
+    if (first !== undefined) {
+      setFollowPC(false);
+      setPage(Math.floor((first - from) / PAGE_SIZE));
+    }
+  }
+
+  const pages = Math.max(1, Math.ceil((to - from) / PAGE_SIZE));
+  const followed = followPC && inRange(pc) ? Math.floor((pc - from) / PAGE_SIZE) : page;
+  const current = Math.min(followed, pages - 1);
+  const start = from + current * PAGE_SIZE;
+  const visible = memory.slice(start, Math.min(start + PAGE_SIZE, to));
+
+  // Intensidad relativa al máximo de toda la memoria (no solo de la página)
+  const heatMax = heat ? Math.max(1, ...Object.values(heat.reads), ...Object.values(heat.writes)) : 1;
+  function heatStyle(i) {
+    const r = (heat.reads[i] ?? 0) / heatMax;
+    const w = (heat.writes[i] ?? 0) / heatMax;
+    if (!r && !w) return undefined;
+    return { background: `linear-gradient(90deg, rgba(59,130,246,${0.15 + 0.6 * r}) 50%, rgba(249,115,22,${w ? 0.15 + 0.6 * w : 0}) 50%)` };
+  }
+
+  function showPage(p) {
+    setFollowPC(false);
+    setPage(Math.max(0, Math.min(p, pages - 1)));
+  }
+
+  // Acepta decimal o hexadecimal (0x..)
+  function goTo() {
+    const addr = Number(gotoText.trim());
+    if (!Number.isInteger(addr) || !inRange(addr)) return;
+    showPage(Math.floor((addr - from) / PAGE_SIZE));
+    setFocusAddr(addr);
+  }
 
-export default function MemoryGrid({ memory, pc, target, op, onEdit }) {
   return (
-    <div className="memory">
-      {memory.map((cell, i) => {
-        const isPC = i === pc;
-        const isTarget = target === i;
-        const cls = isTarget ? (op === "STORE" ? "dest" : "src") : "";
-        return (
-          <div key={i} className={`cell ${isPC ? "pc" : ""} ${cls}`}>
-            <div className="addr">[{i}]</div>
-            <input
-              value={String(cell)}
-              onChange={(e) => onEdit(i, e.target.value)}
-              placeholder="(vacío)"
-            />
-          </div>
-        );
-      })}
+    <div>
+      <div className="memory-toolbar">
+        <select className="quick-select" value={view} onChange={(e) => setView(e.target.value)} title={t("grid.view")}>
+          {CELL_VIEWS.map((v) => <option key={v.id} value={v.id}>{t(v.label)}</option>)}
+        </select>
+        <label><input type="checkbox" checked={hex} onChange={(e) => setHex(e.target.checked)} /> {t("grid.hexAddr")}</label>
+        <label><input type="checkbox" checked={showTags} onChange={(e) => setShowTags(e.target.checked)} /> {t("grid.tags")}</label>
+        {heat && (
+          <label><input type="checkbox" checked={showHeat} onChange={(e) => setShowHeat(e.target.checked)} /> {t("grid.heat")}</label>
+        )}
+        {pages > 1 && (
+          <>
+            <label><input type="checkbox" checked={followPC} onChange={(e) => setFollowPC(e.target.checked)} /> {t("grid.followPc")}</label>
+            <button className="btn-ghost" onClick={() => showPage(current - 1)} disabled={current === 0}>‹</button>
+            <span className="muted">
+              {formatAddr(start, hex, memory.length)}–{formatAddr(start + visible.length - 1, hex, memory.length)}
+            </span>
+            <button className="btn-ghost" onClick={() => showPage(current + 1)} disabled={current === pages - 1}>›</button>
+          </>
+        )}
+        <input
+          className="goto"
+          value={gotoText}
+          placeholder={t("grid.goto")}
+          onChange={(e) => setGotoText(e.target.value)}
+          onKeyDown={(e) => { if (e.key === "Enter") goTo(); }}
+        />
+      </div>
+
+      <div className="memory">
+        {visible.map((cell, k) => {
+          const i = start + k;
+          const isPC = i === pc;
+          const isTarget = target === i;
+          const cls = isTarget ? (ISA[op]?.memory === "write" ? "dest" : "src") : "";
+          const isBP = breakpoints.includes(i);
+          const isWatch = watches.includes(i);
+          const isFocus = focusAddr === i;
+          const isLinked = linked.includes(i);
+          const tag = showTags && tags[i] ? `tag-${tags[i]}` : "";
+          const alert = cellAlerts[i] === "WRITE_CODE" ? "alert-write" : cellAlerts[i] === "EXEC_DATA" ? "alert-exec" : "";
+          const inStack = stack && i >= stack.limit && i < stack.base;
+          const isTOS = inStack && i === sp;
+          const flags = [
+            isPC && "pc", cls, isBP && "bp", isWatch && "watch", isFocus && "focus", isLinked && "linked",
+            inStack && "stack", isTOS && "tos", tag, alert,
+          ].filter(Boolean).join(" ");
+          return (
+            <div
+              key={i}
+              className={`cell ${flags}`}
+              style={showHeat && heat ? heatStyle(i) : undefined}
+              title={showHeat && heat ? t("grid.heatTitle", { reads: heat.reads[i] ?? 0, writes: heat.writes[i] ?? 0 }) : undefined}
+            >
+              <div className="addr">
+                <span
+                  className="addr-label"
+                  title="Breakpoint"
+                  onClick={() => onToggleBreakpoint?.(i)}
+                >
+                  {isBP ? "● " : ""}[{formatAddr(i, hex, memory.length)}]
+                  {isTOS && <span className="tos-tag"> SP</span>}
+                  {alert && <span className="alert-tag" title={t(alert === "alert-write" ? "grid.alertWrite" : "grid.alertExec")}> ⚠</span>}
+                </span>
+                <span className="cell-tools">
+                  <button className={`cell-tool ${isWatch ? "on" : ""}`} title={t("grid.watch")} onClick={() => onToggleWatch?.(i)}>W</button>
+                  <button className="cell-tool" title={t("grid.runTo")} onClick={() => onRunTo?.(i)}>→</button>
+                </span>
+              </div>
+              <CellInput
+                text={formatCell(cell, view)}
+                onCommit={(text) => onEdit(i, text)}
+                onFocus={() => setFocusAddr(null)}
+                placeholder={t("ui.empty")}
+              />
+            </div>
+          );
+        })}
+      </div>
     </div>
   );
 }
+
+/* Edición de una celda: mientras tiene el foco se edita un borrador y se
+   guarda al salir o con Enter (así "ADD 2" no se codifica a medio escribir) */
+function CellInput({ text, onCommit, onFocus, placeholder }) {
+  const [draft, setDraft] = useState(null);
+  const cancelRef = useRef(false); // Escape: descarta el borrador
+
+  function commit() {
+    if (!cancelRef.current && draft !== null && draft !== text) onCommit(draft);
+    cancelRef.current = false;
+    setDraft(null);
+  }
+
+  return (
+    <input
+      value={draft ?? text}
+      onChange={(e) => setDraft(e.target.value)}
+      onFocus={() => { setDraft(text); onFocus?.(); }}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") { cancelRef.current = true; e.currentTarget.blur(); }
+      }}
+      placeholder={placeholder}
+    />
+  );
+}
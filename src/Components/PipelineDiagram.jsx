@@ -0,0 +1,64 @@
+import React from "react";
+
+const WINDOW = 12; // Filas visibles (las últimas instrucciones)
+
+/* Diagrama instrucción × ciclo del pipeline (ver pipeline.js): las últimas
+   instrucciones con la etapa que ocupa cada una en cada ciclo, los riesgos
+   detectados en esa ventana y la aceleración frente a la ejecución secuencial */
+export default function PipelineDiagram({ pipeline, t }) {
+  const { rows, hazards, counts } = pipeline;
+  if (rows.length === 0) return <div className="muted">{t("pipe.none")}</div>;
+
+  const shown = rows.slice(-WINDOW);
+  const cyclesOf = (row) => Object.keys(row.cells).map(Number);
+  const first = Math.min(...shown.flatMap(cyclesOf));
+  const last = Math.max(...shown.flatMap(cyclesOf));
+  const columns = Array.from({ length: last - first + 1 }, (_, k) => first + k);
+  const firstIndex = shown.find((r) => r.index !== undefined)?.index ?? 0;
+  const recent = hazards.filter((h) => h.index >= firstIndex).slice(-6);
+
+  return (
+    <div>
+      <div className="muted" style={{ fontSize: ".8rem" }}>{t("pipe.window", { n: WINDOW })}</div>
+      <div className="pipe-scroll">
+        <table className="pipe-table">
+          <thead>
+            <tr>
+              <th>{t("pipe.instr")}</th>
+              {columns.map((c) => <th key={c}>{c}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map((row, i) => (
+              <tr key={i} className={row.flushed ? "flushed" : ""}>
+                <td className="pipe-instr">
+                  [{row.pc}] {row.ir}{row.flushed && <span className="muted"> {t("pipe.flushed")}</span>}
+                </td>
+                {columns.map((c) => {
+                  const stage = row.cells[c];
+                  return <td key={c} className={stage ? `pipe-${stage}` : ""}>{stage ?? ""}</td>;
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div style={{ fontSize: ".85rem", marginTop: ".5rem" }}>
+        {t("pipe.summary", {
+          cycles: pipeline.cycles,
+          sequential: pipeline.sequentialCycles,
+          speedup: pipeline.speedup.toFixed(2),
+          cpi: pipeline.cpi.toFixed(2),
+        })}
+      </div>
+      <div className="muted" style={{ fontSize: ".8rem" }}>{t("pipe.counts", counts)} · {t("pipe.legend")}</div>
+      {recent.length > 0 && (
+        <ul className="pipe-hazards">
+          {recent.map((h, i) => (
+            <li key={i} className={h.kind}>#{h.cycle} {t(h.message)}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
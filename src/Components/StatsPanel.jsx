@@ -0,0 +1,45 @@
+import React from "react";
+import { summarizeStats } from "../utils/stats";
+
+const pct = (x) => `${Math.round(x * 100)}%`;
+
+/* Estadísticas de ejecución: ciclos, instrucciones por opcode y accesos
+   a memoria separados en lecturas de instrucciones vs. datos */
+export default function StatsPanel({ stats, t }) {
+  const s = summarizeStats(stats);
+  const rows = [
+    ["stats.cycles", s.cycles],
+    ["stats.instructions", s.instructions],
+    ["stats.cpi", s.instructions ? s.cpi.toFixed(2) : "—"],
+    ["stats.fetchReads", stats.fetchReads],
+    ["stats.dataReads", stats.dataReads],
+    ["stats.dataWrites", stats.dataWrites],
+  ];
+
+  return (
+    <div>
+      <table className="stats-table">
+        <tbody>
+          {rows.map(([label, value]) => (
+            <tr key={label}><td>{t(label)}</td><td>{value}</td></tr>
+          ))}
+        </tbody>
+      </table>
+      {/* Mismo bus para código y datos: cuánto del tráfico es traer instrucciones */}
+      <div className="stats-bar" title={t("stats.bar", { fetch: pct(s.fetchShare), data: pct(1 - s.fetchShare) })}>
+        <span className="fetch" style={{ width: s.accesses ? pct(s.fetchShare) : 0 }} />
+        <span className="data" style={{ width: s.accesses ? pct(1 - s.fetchShare) : 0 }} />
+      </div>
+      <div className="muted" style={{ fontSize: ".8rem" }}>
+        {s.accesses
+          ? t("stats.share", { n: s.accesses, pct: pct(s.fetchShare) })
+          : t("stats.none")}
+      </div>
+      {s.byOp.length > 0 && (
+        <div className="outs" style={{ marginTop: ".5rem" }}>
+          {s.byOp.map(([op, n]) => <span key={op} className="chip">{op} × {n}</span>)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,42 +1,112 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
 import Card from "../components/Card";
 import Reg from "../components/Reg";
 import MemoryGrid from "../components/MemoryGrid";
+import FlagsReg from "../components/FlagsReg";
+import BusDiagram from "../components/BusDiagram";
+import GradeReport from "../components/GradeReport";
+import StatsPanel from "../components/StatsPanel";
+import CodeEditor from "../components/CodeEditor";
+import IsaHelp from "../components/IsaHelp";
+import ArchCompare from "../components/ArchCompare";
+import PipelineDiagram from "../components/PipelineDiagram";
+import CachePanel from "../components/CachePanel";
+import DeviceView from "../components/DeviceView";
+import DeviceConfig from "../components/DeviceConfig";
 import {
-  clamp,
   parseInstr,
-  parseData,
   sampleProgram,
   defaultMemSize,
+  memSizeOptions,
+  targetAddressFromIR,
+  stackRegion,
+  interruptVector,
+  parseData,
+  STACK_OPS,
+  instrText,
 } from "../utils/cpuHelpers";
+import { disassemble, formatCell, parseCellInput } from "../utils/encoding";
+import { activeMicro, createSimState, simReducer, traceToCursor } from "../utils/cpuReducer";
+import { assemble, formatAsmError } from "../utils/assembler";
+import { ACC_CONDITIONS } from "../utils/debugger";
+import { WORD_SIZES, wordRange } from "../utils/alu";
+import { gradeProgram, parseExercise } from "../utils/grader";
+import { describeEvent, traceToCSV, traceToJSON } from "../utils/trace";
+import { EXERCISES } from "../utils/exercises";
+import { createProject, decodeShare, loadLocal, parseProject, projectToJSON, saveLocal, shareUrl } from "../utils/persistence";
+import { LANGUAGES, loadLang, makeT, msg, saveLang } from "../utils/i18n";
+import { ARCHITECTURES, DEFAULT_ARCH, bankCounters, harvardSplit } from "../utils/harvard";
+import { retiredFromTrace, schedulePipeline } from "../utils/pipeline";
+import { TIMER_MAX } from "../utils/interrupts";
+import { reservedRanges } from "../utils/devices";
+import "../utils/customIsa";
 import "./simulator.css";
 
 /* =========================================================
    Simulador visual de una CPU estilo Von Neumann
    - Memoria unificada (instrucciones + datos en el mismo arreglo)
-   - Registros: PC (program counter), IR (instrucción actual), ACC (acumulador)
+   - Registros: PC (program counter), IR (instrucción actual), ACC (acumulador), IX (índice)
    - Ciclo: Fetch → Decode → Execute
+   - Textos en español o inglés (catálogos de i18n.js); la consola guarda
+     mensajes sin traducir y se muestra en el idioma elegido
    ========================================================= */
 
+const CONSOLE_LINES = 1000; // La consola muestra solo el final de la traza
+const OUTPUT_CHIPS = 50;     // La tarjeta de salida muestra los últimos valores (la CPU los guarda todos)
+
+// Descarga un texto como archivo
+function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Texto del catálogo con "**negrita**" → nodos de React
+function rich(text) {
+  return text.split(/\*\*(.+?)\*\*/).map((part, i) => (i % 2 ? <b key={i}>{part}</b> : part));
+}
+
+/* Proyecto con el que abre la página: enlace compartido (#p=...) o,
+   si no hay, la última sesión autoguardada */
+function loadInitialProject() {
+  const shared = decodeShare(window.location.hash);
+  if (shared) return { project: shared, message: msg("log.sharedLoaded") };
+  const saved = loadLocal();
+  return saved ? { project: saved, message: msg("log.restored") } : null;
+}
+
+// Estado inicial del reducer a partir del proyecto de arranque
+function initSim(initial) {
+  if (!initial) return createSimState(defaultMemSize);
+  const { project, message } = initial;
+  return simReducer(createSimState(project.memSize), { type: "LOAD_PROJECT", project, message, ts: Date.now() });
+}
+
 export default function VonNeumannSimulator() {
-  /* ------------------ Estado visible en UI ------------------ */
-  const [memSize] = useState(defaultMemSize); // Tamaño de memoria (número de celdas)
-  const [memory, setMemory] = useState(() =>
-    Array.from({ length: defaultMemSize }, () => "")
-  );                                          // Memoria de programa/datos
-  const [pc, setPC] = useState(0);            // Program Counter: índice de la instrucción actual
-  const [ir, setIR] = useState("NOP");        // Instruction Register: instrucción actual en texto
-  const [acc, setACC] = useState(0);          // Acumulador: guarda resultados
-  const [phase, setPhase] = useState("Idle"); // Fase del ciclo: Idle | Fetch | Decode | Execute
-  const [running, setRunning] = useState(false); // Ejecución automática (play/pausa)
-  const [halted, setHalted] = useState(false);   // CPU detenida (por HLT o error)
-  const [speedMs, setSpeedMs] = useState(600);   // Velocidad del ciclo automático
-  const [lastAction, setLastAction] = useState("");// Última acción registrada (texto)
-  const [outputs, setOutputs] = useState([]);     // Buffer de salidas (instrucción OUT)
+  /* ------------------ Estado visible en UI ------------------
+     Todo el estado de la CPU vive en el reducer (simReducer) y solo avanza
+     con step(): lo mismo que se ejecuta headless es lo que se ve aquí.
+  ----------------------------------------------------------- */
+  const [initial] = useState(loadInitialProject); // Enlace o sesión guardada (solo al abrir)
+  const [lang, setLang] = useState(loadLang);     // Idioma de la interfaz ("es" | "en")
+  const t = useMemo(() => makeT(lang), [lang]);
+  const [sim, dispatch] = useReducer(simReducer, initial, initSim);
+  const { cpu, running, lastAction, trace, timeline, cursor, debug } = sim;
+  const { memory, pc, ir, acc, flags, ix, sp, phase, halted, outputs, waitingInput } = cpu;
+  const { inputs } = sim;                                   // Cola de entrada configurada
+  const consumedInputs = inputs.length - cpu.inputs.length; // Valores ya leídos por IN
+  const memSize = memory.length;                 // Tamaño de memoria (número de celdas)
+  const [speedMs, setSpeedMs] = useState(initial?.project.speedMs ?? 600); // Velocidad del ciclo automático
   const [opQuick, setOpQuick] = useState("ADD");  // Operación para plantilla rápida del editor
+  const [arch, setArch] = useState(initial?.project.arch ?? DEFAULT_ARCH); // Von Neumann o Harvard (ver harvard.js)
+  const [pipelineMode, setPipelineMode] = useState(false); // Diagrama del pipeline de 3 etapas
+  const [forwarding, setForwarding] = useState(true);      // Adelantamiento de registros en el pipeline
 
   /* Editor de "código fuente" (pseudo-ensamblador) */
-  const [programText, setProgramText] = useState(`// X + Y = Z
+  const [programText, setProgramText] = useState(initial?.project.programText ?? `// X + Y = Z
   LOAD X
   ADD Y
   STORE Z
@@ -44,301 +114,129 @@ export default function VonNeumannSimulator() {
   HLT`);
 
   /* Variables que se insertan al final del programa en memoria */
-  const [vars, setVars] = useState({
+  const [vars, setVars] = useState(initial?.project.vars ?? {
     X: 2,
     Y: 2,
+    Z: 0,
   });
-
-  /* ------------------ Refs "vivas" (evitan closures viejos) ------------------
-     Usamos refs para leer/escribir el estado más reciente dentro del bucle
-     automático con setTimeout, sin depender del último render de React.
-  --------------------------------------------------------------------------- */
-  const timerRef = useRef(null);
-  const runningRef = useRef(false);
-  const haltedRef  = useRef(false);
-  const speedRef   = useRef(speedMs);
-  const phaseRef   = useRef("Idle");
-  const irRef      = useRef("NOP");
-  const pcRef      = useRef(0);
-  const accRef     = useRef(0);
-  const memRef     = useRef(memory);
-
-  /* Historial de consola: lista de {ts, text} para mostrar eventos */
-  const [history, setHistory] = useState([]);   // [{ts: number, text: string}]
+  const [newVarName, setNewVarName] = useState("");
+  const [asmErrors, setAsmErrors] = useState([]); // Errores del ensamblador [{line, col, code, message}]
+  /* Source map del último ensamblado: { text, lines } con lines[dirección] = línea.
+     Solo vale mientras el texto del editor sea el mismo que se ensambló */
+  const [sourceMap, setSourceMap] = useState(null);
+  const [selectedLine, setSelectedLine] = useState(null); // Línea elegida en el editor
+  const [inputText, setInputText] = useState("");  // Valores a agregar a la cola de IN
+
+  /* Modo ejercicio: enunciado + casos de prueba (ver grader.js) */
+  const [exercises, setExercises] = useState(() => EXERCISES.map((e) => parseExercise(e).exercise));
+  const [exerciseId, setExerciseId] = useState("");  // "" = sin ejercicio
+  const [gradeReport, setGradeReport] = useState(null);
+  const exercise = exercises.find((e) => e.id === exerciseId) ?? null;
+
+  /* Consola: vista de texto de la traza estructurada (la mantiene el reducer) */
   const historyEndRef = useRef(null);
 
-  /* --- Sincroniza las refs cada vez que cambia el estado correspondiente --- */
-  useEffect(() => { runningRef.current = running; }, [running]);
-  useEffect(() => { haltedRef.current  = halted;  }, [halted]);
-  useEffect(() => { speedRef.current   = speedMs; }, [speedMs]);
-  useEffect(() => { phaseRef.current   = phase;   }, [phase]);
-  useEffect(() => { irRef.current      = ir;      }, [ir]);
-  useEffect(() => { pcRef.current      = pc;      }, [pc]);
-  useEffect(() => { accRef.current     = acc;     }, [acc]);
-  useEffect(() => { memRef.current     = memory;  }, [memory]);
-
-  /* Limpieza del timer al desmontar el componente */
-  useEffect(() => () => { if (timerRef.current) clearTimeout(timerRef.current); }, []);
-
-  /* Cada "lastAction" nueva se agrega al historial (evita duplicados consecutivos) */
-  useEffect(() => {
-    if (!lastAction) return;
-    setHistory((h) => {
-      if (h.length && h[h.length - 1].text === lastAction) return h;
-      const entry = { ts: Date.now(), text: lastAction };
-      return [...h, entry].slice(-1000); // Conserva máx. 1000 líneas
-    });
-  }, [lastAction]);
-
   // función para autoscroll (Desactivada)
   // useEffect(() => {
   //   historyEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  // }, [history]);
-
-  /* ====================== FASE: FETCH ======================
-     Lee de memoria[PC] y coloca la instrucción en IR. Además actualiza la ref
-     irRef de inmediato para que Decode lea el valor correcto sin esperar render.
-  ========================================================== */
-  function doFetch() {
-    setPhase("Fetch");
-    const m = memRef.current;
-    const p = pcRef.current;
-    const instr = m[p];
-    setIR(instr ?? "NOP");
-    irRef.current = instr ?? "NOP";
-    setLastAction(`FETCH @${p}: ${instr || "NOP"}`);
-  }
-
-  /* ====================== FASE: DECODE ======================
-     Interpreta el texto de IR (op + arg) pero aún no produce efectos.
-  =========================================================== */
-  function doDecode() {
-    setPhase("Decode");
-    const p = parseInstr(irRef.current);
-    setLastAction(`DECODE: ${p.op}${p.args[0] !== undefined ? " " + p.args[0] : ""}`);
-  }
+  // }, [trace]);
 
-  /* Escribe en memoria de forma segura y sincroniza memRef al instante.
-     Esto evita leer una versión vieja de memoria en el mismo tick. */
-  function writeMem(addr, value) {
-    const a = clamp(addr, 0, memSize - 1);
-    setMemory((m) => {
-      const copy = m.slice();
-      copy[a] = value;
-      return copy;
-    });
-    memRef.current = (() => {
-      const c = memRef.current.slice();
-      c[a] = value;
-      return c;
-    })();
-  }
+  /* Mensaje de la UI hacia la consola (clave del catálogo + parámetros) */
+  const setLastAction = (code, params) => dispatch({ type: "LOG", message: msg(code, params), ts: Date.now() });
 
-  /* ====================== FASE: EXECUTE ======================
-     Aplica la instrucción actual al estado (ACC/PC/Memoria/Salida).
-     Usa refs para trabajar con los valores más recientes.
-  ============================================================ */
-  function doExecute() {
-    setPhase("Execute");
-    const { op, args } = parseInstr(irRef.current);
-    const arg = args[0];
-
-    // Avanza PC para instrucciones "secuenciales".
-    // Las de salto (JMP/JZ/JNZ) ajustan PC por su cuenta.
-    const next = () => {
-      const newPC = clamp(pcRef.current + 1, 0, memSize - 1);
-      setPC(newPC);
-      pcRef.current = newPC;
-    };
-
-    switch (op) {
-      case "NOP": setLastAction("EXEC: NOP"); next(); break;
-
-      case "HLT":
-        setLastAction("EXEC: HLT (CPU detenida)");
-        setHalted(true); haltedRef.current = true;
-        setRunning(false); runningRef.current = false;
-        if (timerRef.current) clearTimeout(timerRef.current);
-        break;
-
-      case "LOAD":
-        // Carga inmediata: ACC ← arg
-        setACC(arg); accRef.current = arg;
-        setLastAction(`EXEC: LOAD #${arg} → ACC=${arg}`); next(); break;
-
-      case "LOADI": {
-        // Carga desde memoria: ACC ← Mem[arg]
-        const v = parseData(memRef.current[arg]);
-        setACC(v); accRef.current = v;
-        setLastAction(`EXEC: LOADI [${arg}] → ACC=${v}`); next(); break;
-      }
-
-      case "MUL": {
-        // Multiplicación inmediata: ACC ← ACC * arg
-        const v = accRef.current * arg;
-        setACC(v);
-        setLastAction(`EXEC: MUL #${arg} → ACC=${v}`);
-        next();
-        break;
-      }
-      case "DIV": {
-        // División entera inmediata (protege división por 0)
-        if (arg === 0) {
-          setACC(0);
-          setLastAction(`EXEC: DIV #${arg} (÷0) → ACC=0`);
-        } else {
-          const v = Math.trunc(accRef.current / arg);
-          setACC(v);
-          setLastAction(`EXEC: DIV #${arg} → ACC=${v}`);
-        }
-        next();
-        break;
-      }
-
-      case "STORE":
-        // Guarda ACC en memoria[arg]
-        writeMem(arg, accRef.current);
-        setLastAction(`EXEC: STORE ACC(${accRef.current}) → [${arg}]`);
-        next(); break;
-
-      case "ADD": {
-        // Suma inmediata: ACC ← ACC + arg
-        const v = accRef.current + arg;
-        setACC(v); accRef.current = v;
-        setLastAction(`EXEC: ADD #${arg} → ACC=${v}`); next(); break;
-      }
-
-      case "ADDM": {
-        // Suma desde memoria: ACC ← ACC + Mem[arg]
-        const m = parseData(memRef.current[arg]);
-        const v = accRef.current + m;
-        setACC(v); accRef.current = v;
-        setLastAction(`EXEC: ADDM [${arg}]=${m} → ACC=${v}`); next(); break;
-      }
-
-      case "SUB": {
-        // Resta inmediata: ACC ← ACC - arg
-        const v = accRef.current - arg;
-        setACC(v); accRef.current = v;
-        setLastAction(`EXEC: SUB #${arg} → ACC=${v}`); next(); break;
-      }
-
-      case "SUBM": {
-        // Resta desde memoria: ACC ← ACC - Mem[arg]
-        const m = parseData(memRef.current[arg]);
-        const v = accRef.current - m;
-        setACC(v); accRef.current = v;
-        setLastAction(`EXEC: SUBM [${arg}]=${m} → ACC=${v}`); next(); break;
-      }
-
-      case "JMP":
-        // Salto incondicional: PC ← arg
-        setPC(clamp(arg, 0, memSize - 1));
-        pcRef.current = clamp(arg, 0, memSize - 1);
-        setLastAction(`EXEC: JMP → PC=${arg}`);
-        break;
-
-      case "JZ":
-        // Salta si ACC == 0
-        if (accRef.current === 0) {
-          setPC(clamp(arg, 0, memSize - 1));
-          pcRef.current = clamp(arg, 0, memSize - 1);
-          setLastAction(`EXEC: JZ (ACC=0) → PC=${arg}`);
-        } else { setLastAction("EXEC: JZ (no salta)"); next(); }
-        break;
-
-      case "JNZ":
-        // Salta si ACC != 0
-        if (accRef.current !== 0) {
-          setPC(clamp(arg, 0, memSize - 1));
-          pcRef.current = clamp(arg, 0, memSize - 1);
-          setLastAction(`EXEC: JNZ (ACC!=0) → PC=${arg}`);
-        } else { setLastAction("EXEC: JNZ (no salta)"); next(); }
-        break;
-
-      case "OUT":
-        // Envía el valor de ACC a la lista de salidas (se muestra en chips)
-        setLastAction(`EXEC: OUT → ${accRef.current}`);
-        setOutputs((o) => [...o, accRef.current].slice(-50));
-        next(); break;
-
-      case "DATA": setLastAction("EXEC: DATA (sin efecto)"); next(); break;
-
-      case "INVALID":
-        // Instrucción no reconocida → se detiene por seguridad
-        setLastAction("ERROR: instrucción inválida");
-        setHalted(true); haltedRef.current = true;
-        setRunning(false); runningRef.current = false;
-        if (timerRef.current) clearTimeout(timerRef.current);
-        break;
-
-      default:
-        // Protección ante caso no contemplado
-        setLastAction(`ERROR: op desconocida ${op}`);
-        setHalted(true); haltedRef.current = true;
-        setRunning(false); runningRef.current = false;
-        if (timerRef.current) clearTimeout(timerRef.current);
-    }
-  }
+  /* Idioma: se recuerda entre sesiones y se refleja en <html lang> */
+  useEffect(() => {
+    saveLang(lang);
+    document.documentElement.lang = lang;
+  }, [lang]);
 
   /* Avanza una fase del ciclo según el estado actual:
      Idle/Execute → Fetch → Decode → Execute → (repite)
   */
   function stepOnce() {
-    if (haltedRef.current) return;
-    const ph = phaseRef.current;
-    if (ph === "Idle" || ph === "Execute")      doFetch();
-    else if (ph === "Fetch")                    doDecode();
-    else if (ph === "Decode")                   doExecute();
+    dispatch({ type: "STEP", ts: Date.now() });
   }
 
-  /* Bucle automático (repite stepOnce() cada 'speedMs' milisegundos) */
+  /* Bucle automático: cada cambio de la CPU (o microoperación en modo
+     detallado) agenda el siguiente paso a 'speedMs' milisegundos
+     (se cancela al pausar, detener o desmontar) */
   useEffect(() => {
     if (!running || halted) return;
-    let canceled = false;
-    const tick = () => {
-      if (canceled || !runningRef.current || haltedRef.current) return;
-      stepOnce();
-      timerRef.current = setTimeout(tick, speedRef.current);
-    };
-    timerRef.current = setTimeout(tick, speedRef.current);
-    return () => { canceled = true; if (timerRef.current) clearTimeout(timerRef.current); };
-  }, [running, halted]);
+    const timer = setTimeout(() => dispatch({ type: "STEP", ts: Date.now() }), speedMs);
+    return () => clearTimeout(timer);
+  }, [running, halted, cpu, sim.rtl, speedMs]);
+
+  /* Proyecto actual (lo que se autoguarda, exporta y comparte) */
+  const currentProject = () => createProject({
+    programText, vars, memory, memSize, speedMs, inputs, wordBits: sim.wordBits, arch, cache: sim.cacheConfig, timer: sim.timerPeriod,
+    devices: sim.deviceConfig, stats: cpu.stats,
+  });
+
+  /* Autoguardado en localStorage (agrupa cambios seguidos en uno solo) */
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      saveLocal(createProject({
+        programText, vars, memory, memSize, speedMs, inputs, wordBits: sim.wordBits, arch, cache: sim.cacheConfig,
+        timer: sim.timerPeriod, devices: sim.deviceConfig,
+      }));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [programText, vars, memory, memSize, speedMs, inputs, sim.wordBits, arch, sim.cacheConfig, sim.timerPeriod, sim.deviceConfig]);
+
+  /* El enlace compartido ya se cargó: se quita del hash para que al recargar
+     se vea la sesión autoguardada (con los cambios del alumno) */
+  useEffect(() => {
+    if (window.location.hash.startsWith("#p=")) {
+      window.history.replaceState(null, "", window.location.pathname + window.location.search);
+    }
+  }, []);
 
   /* ------------------ Controles básicos ------------------ */
+  // Fetch + Decode + Execute de la instrucción actual
+  function stepInstruction() {
+    dispatch({ type: "STEP_INSTRUCTION", ts: Date.now() });
+  }
+  function stepBack() {
+    dispatch({ type: "STEP_BACK", ts: Date.now() });
+  }
+  function seekCycle(index) {
+    dispatch({ type: "SEEK", index, ts: Date.now() });
+  }
   function runToggle() {
-    if (haltedRef.current) return;
-    setRunning((r) => !r); // Alterna play/pausa
+    if (halted) return;
+    dispatch({ type: "SET_RUNNING", running: !running }); // Alterna play/pausa
+  }
+  function runTo(addr) {
+    dispatch({ type: "RUN_TO", addr });
+  }
+  /* Watchpoint sobre ACC: pausa cuando ACC pasa a cumplir la condición */
+  function setAccWatch(watch) {
+    dispatch({ type: "SET_ACC_WATCH", watch });
+  }
+  /* Cambia el tamaño de memoria conservando el programa cargado */
+  function resizeMem(size) {
+    dispatch({ type: "RESIZE_MEMORY", size, ts: Date.now() });
   }
   function resetCPU() {
     // Resetea registros/fase/salida. (No borra memoria)
-    if (timerRef.current) clearTimeout(timerRef.current);
-    setRunning(false); runningRef.current = false;
-    setHalted(false);  haltedRef.current = false;
-    setPhase("Idle");  phaseRef.current = "Idle";
-    setPC(0);          pcRef.current = 0;
-    setIR("NOP");      irRef.current = "NOP";
-    setACC(0);         accRef.current = 0;
-    setLastAction("");
-    setOutputs([]);
-    setHistory([]);
+    dispatch({ type: "RESET" });
+  }
+  function raiseIrq() {
+    // Interrupción externa: se atiende entre el próximo Execute y el Fetch
+    dispatch({ type: "RAISE_IRQ", ts: Date.now() });
   }
   function clearMemory() {
     // Borra toda la memoria y resetea CPU
     const empty = Array.from({ length: memSize }, () => "");
-    setMemory(empty);
-    memRef.current = empty;
-    resetCPU();
-    setHistory([]); 
+    setSourceMap(null);
+    dispatch({ type: "LOAD_MEMORY", memory: empty });
   }
   function loadSample() {
     // Carga el programa de ejemplo en memoria (útil para demos rápidas)
     const m = Array.from({ length: memSize }, () => "");
     for (let i = 0; i < sampleProgram.length && i < memSize; i++) m[i] = sampleProgram[i];
-    setMemory(m);
-    memRef.current = m;
-    resetCPU();
-    setLastAction("Programa de ejemplo cargado");
+    setSourceMap(null);
+    dispatch({ type: "LOAD_MEMORY", memory: m, message: msg("log.sampleLoaded"), ts: Date.now() });
   }
 
   /* Inserta una plantilla "X op Y = Z" en el editor, según la operación elegida */
@@ -362,181 +260,390 @@ export default function VonNeumannSimulator() {
     ].join("\n");
 
     setProgramText(program);
-    setLastAction(`Plantilla insertada: ${opCode} con X e Y`);
+    setLastAction("log.template", { op: opCode });
   }
 
-  /* Compila el texto del editor a memoria:
-     1) Limpia comentarios // y líneas vacías
-     2) Reserva direcciones para X, Y, Z al final del programa
-     3) Traduce cada instrucción a formato "OP <arg>" resolviendo VALOR o DIRECCIÓN
-     4) Escribe valores de X, Y, Z en sus celdas
-     5) Carga en memoria y resetea CPU
+  /* Compila el texto del editor a memoria con el ensamblador de dos pasadas
+     (etiquetas, .data/.word, .equ y las variables de la tabla).
+     Si hay errores no toca la memoria: se listan bajo el editor con línea y columna.
   */
   function compileAndLoad() {
-    const lines = programText
-      .split("\n")
-      .map((l) => l.split("//")[0].trim())
-      .filter((l) => l.length > 0);
-
-    // Direcciones para X/Y/Z (a continuación del programa)
-    let dataBase = lines.length;
-    const X_ADDR = dataBase++;
-    const Y_ADDR = dataBase++;
-    const Z_ADDR = dataBase++;
-
-    if (dataBase > memSize) {
-      setLastAction("El programa y datos no caben en la memoria actual.");
+    const result = assemble(programText, { memSize, vars, reserved: reservedRanges(sim.deviceConfig) });
+    setAsmErrors(result.errors);
+    if (!result.ok) {
+      setLastAction("log.asmErrors", { n: result.errors.length });
       return;
     }
 
-    // Instrucciones que esperan DIRECCIÓN (no valor inmediato)
-    const addrOps = new Set(["LOADI","ADDM","SUBM","STORE","JMP","JZ","JNZ"]);
-    const mem = Array.from({ length: memSize }, () => "");
-
-    const resolveVarToValue = (name) => {
-      const key = String(name).toUpperCase();
-      if (key === "X") return Number(vars.X) || 0;
-      if (key === "Y") return Number(vars.Y) || 0;
-      if (key === "Z") return Number(vars.Z) || 0;
-      const n = Number(name);
-      return Number.isFinite(n) ? n : 0;
-    };
-    const resolveVarToAddr = (name) => {
-      const key = String(name).toUpperCase();
-      if (key === "X") return X_ADDR;
-      if (key === "Y") return Y_ADDR;
-      if (key === "Z") return Z_ADDR;
-      const n = Number(name);
-      return Number.isFinite(n) ? clamp(n, 0, memSize - 1) : 0;
-    };
-
-    // Ensambla cada línea del programa
-    for (let i = 0; i < lines.length && i < memSize; i++) {
-      const parts = lines[i].replace(/\s+/g, " ").split(" ");
-      const op = (parts[0] || "").toUpperCase();
-      const rawArg = parts[1];
-
-      if (rawArg === undefined) {
-        mem[i] = op; // Ej.: HLT, NOP, OUT
-      } else {
-        const arg = addrOps.has(op)
-          ? resolveVarToAddr(rawArg)   // Usa DIRECCIÓN en estas ops
-          : resolveVarToValue(rawArg); // Usa VALOR inmediato en el resto
-        mem[i] = `${op} ${arg}`;
-      }
+    // Carga memoria y deja la CPU lista para ejecutar
+    setSourceMap({ text: programText, lines: result.sourceMap });
+    dispatch({ type: "LOAD_MEMORY", memory: result.memory, tags: result.tags, message: msg("log.loaded"), ts: Date.now() });
+  }
+
+  /* ------------------ Proyecto: exportar / importar / compartir ------------------ */
+  function exportProject() {
+    downloadText("proyecto-vnsim.json", projectToJSON(currentProject()), "application/json");
+    setLastAction("log.exported");
+  }
+
+  async function importProject(file) {
+    if (!file) return;
+    const r = parseProject(await file.text());
+    if (!r.ok) {
+      setLastAction("log.importFailed", { error: r.error });
+      return;
     }
+    const { project } = r;
+    setProgramText(project.programText);
+    setVars(project.vars);
+    setSpeedMs(project.speedMs);
+    setArch(project.arch);
+    setAsmErrors([]);
+    setSourceMap(null);
+    dispatch({ type: "LOAD_PROJECT", project, message: msg("log.imported", { name: file.name }), ts: Date.now() });
+  }
 
-    // Escribe X, Y, Z en sus direcciones
-    mem[X_ADDR] = Number(vars.X) || 0;
-    mem[Y_ADDR] = Number(vars.Y) || 0;
-    mem[Z_ADDR] = Number(vars.Z) || 0;
+  /* Enlace con el programa, las variables y el tamaño de memoria */
+  async function copyShareLink() {
+    const url = shareUrl(currentProject(), window.location.href);
+    try {
+      await navigator.clipboard.writeText(url);
+      setLastAction("log.linkCopied");
+    } catch {
+      setLastAction("log.link", { url });
+    }
+  }
 
-    // Carga memoria y deja la CPU lista para ejecutar
-    setMemory(mem);
-    resetCPU();
-    setLastAction("Programa compilado y cargado");
+  /* Traza completa de la ejecución (todas las fases, no solo lo visible en consola) */
+  function exportTrace(format) {
+    if (format === "csv") downloadText("traza-vnsim.csv", traceToCSV(trace), "text/csv");
+    else downloadText("traza-vnsim.json", traceToJSON(trace), "application/json");
   }
 
-  /* Edición manual de celdas de memoria desde la UI */
-  function onEditCell(i, value) {
-    setMemory((m) => {
-      const copy = m.slice();
-      const asNum = Number(value);
-      copy[i] = value.trim() === "" ? "" : (Number.isFinite(asNum) ? asNum : value);
-      memRef.current = copy; // Sincroniza ref para lecturas inmediatas
+  /* ------------------ Ejercicios ------------------ */
+  function selectExercise(id) {
+    setExerciseId(id);
+    setGradeReport(null);
+  }
+
+  // Código inicial + variables del primer caso + tamaño de memoria del ejercicio
+  function loadStarter() {
+    setProgramText(exercise.starter);
+    setVars(exercise.cases[0].vars);
+    setAsmErrors([]);
+    if (exercise.memSize !== memSize) resizeMem(exercise.memSize);
+    setLastAction("log.exercise", { title: exercise.title });
+  }
+
+  // Corre el programa del editor contra todos los casos (headless, con presupuesto)
+  function gradeCurrent() {
+    const report = gradeProgram(programText, exercise);
+    setGradeReport(report);
+    setLastAction("log.graded", { passed: report.passed, total: report.total });
+  }
+
+  async function importExercise(file) {
+    if (!file) return;
+    const r = parseExercise(await file.text());
+    if (!r.ok) {
+      setLastAction("log.exerciseFailed", { error: r.error });
+      return;
+    }
+    setExercises((list) => [...list.filter((e) => e.id !== r.exercise.id), r.exercise]);
+    selectExercise(r.exercise.id);
+    setLastAction("log.exerciseImported", { title: r.exercise.title });
+  }
+
+  /* Cola de entrada: acepta números separados por comas o espacios */
+  function addInputs() {
+    const values = inputText.split(/[\s,;]+/).filter(Boolean).map(Number).filter(Number.isFinite);
+    if (values.length === 0) return;
+    dispatch({ type: "ADD_INPUTS", values });
+    setInputText("");
+  }
+
+  /* Tabla de variables: alta y baja de nombres */
+  function addVar() {
+    const name = newVarName.trim().toUpperCase();
+    if (!/^[A-Z_][A-Z0-9_]*$/.test(name) || name in vars) return;
+    setVars((v) => ({ ...v, [name]: 0 }));
+    setNewVarName("");
+  }
+  function removeVar(name) {
+    setVars((v) => {
+      const copy = { ...v };
+      delete copy[name];
       return copy;
     });
   }
 
+  /* Edición manual de celdas de memoria desde la UI */
+  // Acepta números (dec/0x/0b) o instrucciones, que se guardan codificadas
+  function onEditCell(i, value) {
+    dispatch({ type: "EDIT_CELL", addr: i, value: parseCellInput(value) });
+  }
+
+  /* Desensambla la memoria actual hacia el editor */
+  function disassembleToEditor() {
+    // Una línea por celda: la línea N corresponde a la dirección N-1
+    const text = disassemble(memory);
+    setProgramText(text);
+    setSourceMap({ text, lines: text.split("\n").map((_, addr) => addr + 1) });
+    setAsmErrors([]);
+    setLastAction("log.disassembled");
+  }
+
   /* --------- Cálculos derivados para la UI (useMemo) --------- */
   const parsedIR = useMemo(() => parseInstr(ir), [ir]);
+  const vector = interruptVector(memSize); // Celda con la dirección de la rutina de interrupción
+
+  // Editor ↔ memoria: línea de la instrucción en PC y celdas de la línea elegida
+  const lineOfAddr = sourceMap && sourceMap.text === programText ? sourceMap.lines : null;
+  const pcLine = lineOfAddr?.[pc] ?? null;
+  const linkedAddrs = useMemo(
+    () => (lineOfAddr && selectedLine ? lineOfAddr.flatMap((line, addr) => (line === selectedLine ? [addr] : [])) : []),
+    [lineOfAddr, selectedLine]
+  );
+
+  // Dirección efectiva a resaltar en la grilla (para LOADI/STORE/ADDM/SUBM/JMP/JZ/JNZ,
+  // resolviendo @indirecto con la memoria y n,IX con el registro índice)
+  const targetAddr = useMemo(
+    () => targetAddressFromIR(ir, memSize, { memory, ix }),
+    [ir, memSize, memory, ix]
+  );
 
-  // Dirección objetivo a resaltar en la grilla (para LOADI/STORE/ADDM/SUBM/JMP/JZ/JNZ)
-  const targetAddr = useMemo(() => {
-    const { op, args } = parsedIR;
-    const addrOps = new Set(["LOADI", "ADDM", "SUBM", "STORE", "JMP", "JZ", "JNZ"]);
-    if (addrOps.has(op) && Number.isFinite(args?.[0])) return clamp(args[0], 0, memSize - 1);
-    return null;
-  }, [parsedIR, memSize]);
+  // Modo Harvard: frontera entre memoria de instrucciones y de datos, y sus contadores
+  const split = useMemo(() => harvardSplit(cpu.tags, memSize), [cpu.tags, memSize]);
+  const banks = bankCounters(cpu.stats, split, memSize);
+
+  // Pipeline: las instrucciones completadas de la traza (hasta el ciclo actual), repartidas en etapas
+  const pipeline = useMemo(
+    () => (pipelineMode ? schedulePipeline(retiredFromTrace(traceToCursor({ trace, timeline, cursor })), { forwarding, memory }) : null),
+    [pipelineMode, trace, timeline, cursor, forwarding, memory]
+  );
+
+  // Lo que comparten la grilla única (Von Neumann) y las dos de Harvard
+  const gridProps = {
+    memory, pc, target: targetAddr, op: parsedIR.op, onEdit: onEditCell, sp, stack: stackRegion(memSize),
+    heat: cpu.stats, linked: linkedAddrs, tags: cpu.tags, cellAlerts: cpu.cellAlerts,
+    breakpoints: debug.breakpoints, watches: debug.watchAddrs,
+    onToggleBreakpoint: (addr) => dispatch({ type: "TOGGLE_BREAKPOINT", addr }),
+    onToggleWatch: (addr) => dispatch({ type: "TOGGLE_WATCH", addr }),
+    onRunTo: runTo,
+    t,
+  };
 
   /* ========================== Render UI ========================== */
   return (
     <div className="app-dark min-h-screen w-full p-4">
       <div className="mx-auto max-w-6x1">
 
-        <h1>Simulador visual: Máquina de Von Neumann</h1>
-        <p className="subtitle">Ciclo <b>Fetch → Decode → Execute</b> con registros PC, IR y ACC. Memoria unificada para instrucciones y datos.</p>
+        <div className="title-row">
+          <h1>{t("ui.title")}</h1>
+          <label className="quick-label">
+            {t("ui.language")}{" "}
+            <select className="quick-select" value={lang} onChange={(e) => setLang(e.target.value)}>
+              {LANGUAGES.map((l) => <option key={l.id} value={l.id}>{l.label}</option>)}
+            </select>
+          </label>
+        </div>
+        <p className="subtitle">{rich(t("ui.subtitle"))}</p>
 
         {/* Panel superior: registros + controles de ejecución */}
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-          <Card title="Registros">
+          <Card title={t("card.registers")}>
             <div className="regs">
               <Reg label="PC" value={pc} highlight={phase !== "Idle"} />
               <Reg label="ACC" value={acc} highlight={phase === "Execute"} />
-              <Reg label="Fase" value={phase} />
+              <FlagsReg flags={flags} t={t} />
+              <Reg label="IX" value={ix} />
+              <Reg label="SP" value={sp} highlight={STACK_OPS.has(parsedIR.op) && phase === "Execute"} />
+              <Reg label={t("ui.phase")} value={phase} />
+            </div>
+            <div className="word-row">
+              <label className="quick-label">
+                {t("ui.word")}{" "}
+                <select
+                  className="quick-select"
+                  value={sim.wordBits}
+                  onChange={(e) => dispatch({ type: "SET_WORD_BITS", bits: Number(e.target.value), ts: Date.now() })}
+                >
+                  {WORD_SIZES.map((b) => <option key={b} value={b}>{t("ui.bits", { bits: b })}</option>)}
+                </select>
+              </label>
+              <span className="muted">
+                {t("ui.accRange", wordRange(sim.wordBits))}
+              </span>
             </div>
             <div className="ir">
-              <div className="label">IR (instrucción actual)</div>
-              <div className="irbox">{String(ir)}</div>
+              <div className="label">{t("ui.irLabel")}</div>
+              <div className="irbox">
+                {instrText(ir)}
+                {typeof ir === "number" && <span className="muted"> · {formatCell(ir, "hex")} · {formatCell(ir, "bin")}</span>}
+              </div>
             </div>
           </Card>
 
-          <Card title="Ejecución">
+          <Card title={t("card.execution")}>
             <div className="controls">
               {/* Paso manual de una fase */}
-              <button className="btn" onClick={stepOnce} disabled={halted}>Paso</button>
+              <button className="btn" onClick={stepOnce} disabled={halted}>{t("ui.step")}</button>
+              {/* Las tres fases de la instrucción actual */}
+              <button className="btn" onClick={stepInstruction} disabled={halted}>{t("ui.stepInstr")}</button>
+              {/* Vuelve a la instantánea anterior (depuración hacia atrás) */}
+              <button className="btn" onClick={stepBack} disabled={cursor === 0}>{t("ui.stepBack")}</button>
               {/* Play/Pausa del bucle automático */}
               <button className="btn" onClick={runToggle} disabled={halted}>
-                {running ? "Pausar" : "Ejecutar"}
+                {running ? t("ui.pause") : t("ui.run")}
               </button>
               {/* Reset de CPU (no borra memoria) */}
-              <button className="btn" onClick={resetCPU}>Reset</button>
+              <button className="btn" onClick={resetCPU}>{t("ui.reset")}</button>
               {/* Borra memoria y resetea CPU */}
-              <button className="btn" onClick={clearMemory}>Limpiar memoria</button>
+              <button className="btn" onClick={clearMemory}>{t("ui.clearMemory")}</button>
+              {/* Programa de ejemplo directo a memoria */}
+              <button className="btn" onClick={loadSample}>{t("ui.loadSample")}</button>
             </div>
-            <div className="note"><b>Última acción:</b> {lastAction || "(aún nada)"}</div>
+            <div className="note"><b>{t("ui.lastAction")}</b> {lastAction ? t(lastAction) : t("ui.nothingYet")}</div>
             <div className="speed">
-              <label>Velocidad</label>
+              <label>{t("ui.speed")}</label>
               <input type="range" min={150} max={1500} value={speedMs} onChange={(e)=>setSpeedMs(Number(e.target.value))} />
               <span>{speedMs} ms</span>
             </div>
+            {/* Línea de tiempo: permite saltar a cualquier ciclo ya ejecutado */}
+            <div className="speed timeline">
+              <label>{t("ui.cycle")}</label>
+              <input
+                type="range"
+                min={0}
+                max={timeline.length - 1}
+                value={cursor}
+                onChange={(e) => seekCycle(Number(e.target.value))}
+                disabled={timeline.length < 2}
+              />
+              <span>{cursor} / {timeline.length - 1}</span>
+            </div>
+            {/* Interrupciones: pedido externo, temporizador y estado (ver interrupts.js) */}
+            <div className="irq-row">
+              <button className="btn" onClick={raiseIrq} disabled={halted}>{t("ui.raiseIrq")}</button>
+              <label className="quick-label" title={t("ui.timerHint")}>
+                {t("ui.timer")}{" "}
+                <input
+                  type="number"
+                  min={0}
+                  max={TIMER_MAX}
+                  value={sim.timerPeriod}
+                  onChange={(e) => dispatch({ type: "SET_TIMER", period: e.target.value, ts: Date.now() })}
+                />
+              </label>
+              <span className={cpu.irq ? "irq-status pending" : "irq-status"}>
+                {t("ui.irqStatus", {
+                  ie: cpu.ie ? 1 : 0,
+                  irq: cpu.irq ? t(`irq.${cpu.irq}`) : "—",
+                  vector,
+                  isr: parseData(memory[vector]),
+                })}
+                {cpu.timer?.period > 0 && <> · {t("ui.timerCount", cpu.timer)}</>}
+              </span>
+            </div>
+            <div className="accwatch">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={debug.accWatch !== null}
+                  onChange={(e) => setAccWatch(e.target.checked ? { cond: "==", value: 0 } : null)}
+                />{" "}
+                {t("ui.pauseIfAcc")}
+              </label>
+              <select
+                value={debug.accWatch?.cond ?? "=="}
+                disabled={!debug.accWatch}
+                onChange={(e) => setAccWatch({ ...debug.accWatch, cond: e.target.value })}
+              >
+                {ACC_CONDITIONS.map((c) => <option key={c} value={c}>{c}</option>)}
+              </select>
+              <input
+                type="number"
+                value={debug.accWatch?.value ?? 0}
+                disabled={!debug.accWatch}
+                onChange={(e) => setAccWatch({ ...debug.accWatch, value: Number(e.target.value) })}
+              />
+            </div>
+          </Card>
+        </div>
+
+        {/* Vista RTL: MAR, MDR, buses y microoperaciones (modo detallado) */}
+        <div className="mb-6">
+          <Card title={t("card.rtl")}>
+            <label className="quick-label">
+              <input
+                type="checkbox"
+                checked={sim.rtl.enabled}
+                onChange={(e) => dispatch({ type: "SET_RTL", enabled: e.target.checked })}
+              />{" "}
+              {t("ui.rtlMode")}
+            </label>
+            {sim.rtl.enabled && <BusDiagram cpu={cpu} active={activeMicro(sim)} t={t} />}
+          </Card>
+        </div>
+
+        {/* Pipeline: mismas instrucciones, solapadas en Fetch / Decode / Execute */}
+        <div className="mb-6">
+          <Card title={t("card.pipeline")}>
+            <div className="quick-row">
+              <label className="quick-label">
+                <input type="checkbox" checked={pipelineMode} onChange={(e) => setPipelineMode(e.target.checked)} />{" "}
+                {t("ui.pipelineMode")}
+              </label>
+              {pipelineMode && (
+                <label className="quick-label">
+                  <input type="checkbox" checked={forwarding} onChange={(e) => setForwarding(e.target.checked)} />{" "}
+                  {t("ui.forwarding")}
+                </label>
+              )}
+            </div>
+            {pipeline && <PipelineDiagram pipeline={pipeline} t={t} />}
           </Card>
         </div>
 
         {/* Editor y variables */}
-        <Card title="Programa y variables">
+        <Card title={t("card.program")}>
           <div className="quick-row">
             <label className="quick-label">
-              Operación
+              {t("ui.operation")}
               <select
                 className="quick-select"
                 value={opQuick}
                 onChange={(e) => setOpQuick(e.target.value)}
               >
-                <option value="ADD">Suma: X + Y → Z</option>
-                <option value="SUB">Resta: X - Y → Z</option>
-                <option value="MUL">Multiplicación: X * Y → Z</option>
-                <option value="DIV">División: X / Y → Z</option>
+                {["ADD", "SUB", "MUL", "DIV"].map((op) => <option key={op} value={op}>{t(`ui.tpl${op}`)}</option>)}
               </select>
             </label>
 
             <button className="btn" onClick={() => applyQuickTemplate(opQuick)}>
-              Insertar en editor
+              {t("ui.insertTemplate")}
             </button>
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-3"></div>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
             <div>
-              <textarea
-                className="codearea"
-                rows={8}
+              <CodeEditor
                 value={programText}
-                onChange={(e) => setProgramText(e.target.value)}
-                spellCheck={false}
+                onChange={setProgramText}
+                errors={asmErrors}
+                pcLine={pcLine}
+                selectedLine={selectedLine}
+                onLineClick={setSelectedLine}
+                t={t}
               />
+              {asmErrors.length > 0 && (
+                <ul className="asm-errors">
+                  {asmErrors.map((err, i) => <li key={i}>{formatAsmError(err, lang)}</li>)}
+                </ul>
+              )}
               <div style={{ display: "flex", gap: ".5rem", marginTop: ".5rem", flexWrap: "wrap" }}>
-                <button className="btn" onClick={compileAndLoad}>Compilar y cargar</button>
+                <button className="btn" onClick={compileAndLoad}>{t("ui.compile")}</button>
+                <button className="btn" onClick={disassembleToEditor}>{t("ui.disassemble")}</button>
                 <button
                   className="btn"
                   onClick={() =>
@@ -547,23 +654,36 @@ export default function VonNeumannSimulator() {
         HLT`)
                   }
                 >
-                  Ejemplo
+                  {t("ui.example")}
                 </button>
               </div>
+              {/* Proyecto completo: archivo JSON o enlace para compartir */}
+              <div style={{ display: "flex", gap: ".5rem", marginTop: ".5rem", flexWrap: "wrap" }}>
+                <button className="btn" onClick={exportProject}>{t("ui.exportProject")}</button>
+                <label className="btn">
+                  {t("ui.importProject")}
+                  <input
+                    type="file"
+                    accept="application/json,.json"
+                    hidden
+                    onChange={(e) => { importProject(e.target.files[0]); e.target.value = ""; }}
+                  />
+                </label>
+                <button className="btn" onClick={copyShareLink}>{t("ui.copyLink")}</button>
+              </div>
               {/* Regla clave para explicar en la exposición */}
               <p className="muted" style={{ fontSize: ".85rem", marginTop: ".5rem" }}>
-                Regla: en <b>LOAD/ADD/SUB</b> el nombre usa su <b>valor</b>. En
-                <b> STORE</b> el nombre usa su <b>dirección</b>.
+                {rich(t("ui.rule"))}
               </p>
             </div>
 
             <div>
               <table className="varTable">
                 <thead>
-                  <tr><th>Nombre</th><th>Valor</th></tr>
+                  <tr><th>{t("ui.name")}</th><th>{t("ui.value")}</th><th></th></tr>
                 </thead>
                 <tbody>
-                  {["X","Y"].map((k) => (
+                  {Object.keys(vars).map((k) => (
                     <tr key={k}>
                       <td style={{ width: 80 }}>{k}</td>
                       <td>
@@ -573,55 +693,239 @@ export default function VonNeumannSimulator() {
                           onChange={(e) => setVars((v) => ({ ...v, [k]: e.target.value }))}
                         />
                       </td>
+                      <td style={{ width: 40 }}>
+                        <button className="btn-ghost" onClick={() => removeVar(k)} title={t("ui.removeVar")}>×</button>
+                      </td>
                     </tr>
                   ))}
+                  <tr>
+                    <td colSpan={2}>
+                      <input
+                        value={newVarName}
+                        placeholder={t("ui.newVar")}
+                        onChange={(e) => setNewVarName(e.target.value)}
+                        onKeyDown={(e) => { if (e.key === "Enter") addVar(); }}
+                      />
+                    </td>
+                    <td>
+                      <button className="btn-ghost" onClick={addVar} title={t("ui.addVar")}>+</button>
+                    </td>
+                  </tr>
                 </tbody>
               </table>
               <div className="muted" style={{ fontSize: ".85rem", marginTop: ".5rem" }}>
-                Las variables se guardan al final del programa en memoria.
+                {t("ui.varsNote")}
               </div>
             </div>
           </div>
         </Card>
 
+        {/* Ejercicios con casos de prueba */}
+        <div className="my-6">
+          <Card title={t("card.exercises")}>
+            <div className="quick-row">
+              <select className="quick-select" value={exerciseId} onChange={(e) => selectExercise(e.target.value)}>
+                <option value="">{t("ui.noExercise")}</option>
+                {exercises.map((e) => <option key={e.id} value={e.id}>{t(e.title)}</option>)}
+              </select>
+              <label className="btn">
+                {t("ui.importExercise")}
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  hidden
+                  onChange={(e) => { importExercise(e.target.files[0]); e.target.value = ""; }}
+                />
+              </label>
+            </div>
+            {exercise && (
+              <>
+                <p className="exercise-statement">{t(exercise.statement)}</p>
+                <div className="muted" style={{ fontSize: ".85rem" }}>
+                  {t("ui.exerciseInfo", { cases: exercise.cases.length, memSize: exercise.memSize, max: exercise.maxInstructions })}
+                </div>
+                <div style={{ display: "flex", gap: ".5rem", marginTop: ".5rem", flexWrap: "wrap" }}>
+                  <button className="btn" onClick={loadStarter}>{t("ui.useStarter")}</button>
+                  <button className="btn" onClick={gradeCurrent}>{t("ui.grade")}</button>
+                </div>
+                {gradeReport && <GradeReport report={gradeReport} t={t} lang={lang} />}
+              </>
+            )}
+          </Card>
+        </div>
+
         {/* Memoria + Salida */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-          <Card title="Memoria">
-            <MemoryGrid memory={memory} pc={pc} target={targetAddr} op={parsedIR.op} onEdit={onEditCell} />
-          </Card>
-          <Card title="Salida (OUT)">
-            {outputs.length === 0 ? (
-              <div className="muted">(sin salida)</div>
+          <Card title={t("card.memory")}>
+            <div className="quick-row">
+              <label className="quick-label">
+                {t("ui.size")}
+                <select className="quick-select" value={memSize} onChange={(e) => resizeMem(Number(e.target.value))}>
+                  {memSizeOptions.map((n) => <option key={n} value={n}>{t("ui.cells", { n })}</option>)}
+                </select>
+              </label>
+              {/* Escribir sobre código o ejecutar datos detiene la CPU */}
+              <label className="quick-label" title={t("ui.strictHint")}>
+                <input
+                  type="checkbox"
+                  checked={sim.strictTags}
+                  onChange={(e) => dispatch({ type: "SET_STRICT_TAGS", strict: e.target.checked })}
+                />{" "}
+                {t("ui.strict")}
+              </label>
+              <label className="quick-label" title={t("ui.archHint")}>
+                {t("ui.arch")}
+                <select className="quick-select" value={arch} onChange={(e) => setArch(e.target.value)}>
+                  {ARCHITECTURES.map((a) => <option key={a} value={a}>{t(`arch.${a}`)}</option>)}
+                </select>
+              </label>
+            </div>
+            {arch === "harvard" ? (
+              <>
+                {/* Dos memorias con su propio bus: misma CPU, mismas direcciones */}
+                <div className="bank-head">
+                  <strong>{t("arch.instrMemory", { from: 0, to: split - 1 })}</strong>
+                  <span className="muted">{t("arch.counters", banks.instr)}</span>
+                </div>
+                <MemoryGrid key="instr" {...gridProps} range={[0, split]} />
+                <div className="bank-head">
+                  <strong>{t("arch.dataMemory", { from: split, to: memSize - 1 })}</strong>
+                  <span className="muted">{t("arch.counters", banks.data)}</span>
+                </div>
+                <MemoryGrid key="data" {...gridProps} range={[split, memSize]} />
+              </>
             ) : (
-              <div className="outs">
-                {outputs.map((v, i) => <span key={i} className="chip">{v}</span>)}
-              </div>
+              <MemoryGrid {...gridProps} />
             )}
+            <div className="muted" style={{ fontSize: ".8rem", marginTop: ".5rem" }}>
+              {t("ui.memoryHelp")}
+            </div>
           </Card>
+          <div className="side-stack">
+            <Card title={t("card.output")}>
+              {outputs.length === 0 ? (
+                <div className="muted">{t("ui.noOutput")}</div>
+              ) : (
+                <div className="outs">
+                  {outputs.slice(-OUTPUT_CHIPS).map((v, i) => (
+                    <span key={Math.max(0, outputs.length - OUTPUT_CHIPS) + i} className="chip">{v}</span>
+                  ))}
+                </div>
+              )}
+            </Card>
+
+            {/* Dispositivos de E/S mapeados en memoria: STORE / LOADI a sus celdas */}
+            {cpu.io?.devices.map((device) => (
+              <Card key={device.type} title={t(`dev.${device.type}`)}>
+                <DeviceView
+                  device={device}
+                  cpu={cpu}
+                  onKeys={(text) => dispatch({ type: "TYPE_KEYS", text, ts: Date.now() })}
+                  t={t}
+                />
+              </Card>
+            ))}
+
+            {/* Cola de entrada para IN: los valores ya leídos se ven atenuados */}
+            <Card title={t("card.input")}>
+              {inputs.length === 0 ? (
+                <div className="muted">{t("ui.queueEmpty")}</div>
+              ) : (
+                <div className="outs">
+                  {inputs.map((v, i) => (
+                    <span key={i} className={`chip ${i < consumedInputs ? "used" : ""}`}>{v}</span>
+                  ))}
+                </div>
+              )}
+              {waitingInput && (
+                <div className="note input-wait">{rich(t("ui.inputWait"))}</div>
+              )}
+              <div className="input-row">
+                <input
+                  value={inputText}
+                  placeholder={t("ui.inputPlaceholder")}
+                  onChange={(e) => setInputText(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === "Enter") addInputs(); }}
+                  autoFocus={waitingInput}
+                />
+                <button className="btn" onClick={addInputs}>{t("ui.add")}</button>
+                <button className="btn" onClick={() => dispatch({ type: "CLEAR_INPUTS" })}>{t("ui.clear")}</button>
+              </div>
+              <label className="quick-label" style={{ fontSize: ".85rem" }}>
+                {t("ui.onEmpty")}{" "}
+                <select
+                  className="quick-select"
+                  value={sim.inputPolicy}
+                  onChange={(e) => dispatch({ type: "SET_INPUT_POLICY", policy: e.target.value })}
+                >
+                  <option value="pause">{t("ui.policyPause")}</option>
+                  <option value="fault">{t("ui.policyFault")}</option>
+                </select>
+              </label>
+            </Card>
+
+            {/* Contadores del cuello de botella (se reinician con Reset) */}
+            <Card title={t("card.stats")}>
+              <StatsPanel stats={cpu.stats} t={t} />
+            </Card>
+
+            {/* Caché entre la CPU y la memoria: todo Fetch y acceso a datos pasa por ella */}
+            <Card title={t("card.cache")}>
+              <CachePanel
+                cache={cpu.cache}
+                config={sim.cacheConfig}
+                onConfig={(config) => dispatch({ type: "SET_CACHE", config, ts: Date.now() })}
+                t={t}
+              />
+            </Card>
+
+            <Card title={t("card.devices")}>
+              <DeviceConfig
+                devices={sim.deviceConfig}
+                memSize={memSize}
+                onChange={(devices) => dispatch({ type: "SET_DEVICES", devices, ts: Date.now() })}
+                t={t}
+              />
+            </Card>
+
+            {/* Mismo programa contado en las dos arquitecturas */}
+            {arch === "harvard" && (
+              <Card title={t("card.compare")}>
+                <ArchCompare stats={cpu.stats} t={t} />
+              </Card>
+            )}
+          </div>
         </div>
         
         {/* Consola con el historial de acciones (útil para narrar la ejecución) */}
-        <Card title="Consola (historial)">
+        <Card title={t("card.console")}>
           <div className="console-box">
-            {history.length === 0 ? (
-              <div className="muted">(sin mensajes aún)</div>
+            {trace.length === 0 ? (
+              <div className="muted">{t("ui.noMessages")}</div>
             ) : (
-              history.map((e, i) => (
-                <div key={i} className="console-line">
-                  <span className="ts">{new Date(e.ts).toLocaleTimeString()}</span>
-                  <span className="msg">{e.text}</span>
+              trace.slice(-CONSOLE_LINES).map((e, i) => (
+                <div key={i} className={`console-line ${e.kind} ${e.alerts?.length ? "alert" : ""}`}>
+                  <span className="ts">{e.cycle != null ? `#${e.cycle}` : new Date(e.ts).toLocaleTimeString()}</span>
+                  <span className="msg">{describeEvent(e, lang)}</span>
                 </div>
               ))
             )}
             <div ref={historyEndRef} />
           </div>
           <div style={{ marginTop: ".5rem", display: "flex", gap: ".5rem" }}>
-            <button className="btn" onClick={() => setHistory([])}>Limpiar consola</button>
+            <button className="btn" onClick={() => dispatch({ type: "CLEAR_TRACE" })}>{t("ui.clearConsole")}</button>
+            <button className="btn" onClick={() => exportTrace("json")} disabled={trace.length === 0}>{t("ui.exportTraceJson")}</button>
+            <button className="btn" onClick={() => exportTrace("csv")} disabled={trace.length === 0}>{t("ui.exportTraceCsv")}</button>
           </div>
         </Card>
 
+        {/* Referencia generada de la tabla del juego de instrucciones (incluye las del curso) */}
+        <Card title={t("card.isa")}>
+          <IsaHelp t={t} />
+        </Card>
+
         <footer className="footer">
-          Arquitectura de Von Neumann
+          {t("ui.footer")}
         </footer>
       </div>
     </div>
@@ -0,0 +1,93 @@
+/* =========================================================
+   ALU con ancho de palabra fijo (complemento a dos)
+   - Todo valor que entra al ACC se ajusta a "bits" (8 o 16)
+   - Banderas: Z (cero), N (negativo), C (acarreo/préstamo), V (desborde con signo)
+   ========================================================= */
+
+export const WORD_SIZES = [8, 16];
+export const defaultWordBits = 16;
+
+export const emptyFlags = () => ({ Z: true, N: false, C: false, V: false });
+
+// Rango con signo para el ancho de palabra
+export function wordRange(bits) {
+  return { min: -(2 ** (bits - 1)), max: 2 ** (bits - 1) - 1 };
+}
+
+// Ajusta un número cualquiera a complemento a dos de "bits" (ej. 8 bits: 130 → -126)
+export function wrap(value, bits) {
+  const mod = 2 ** bits;
+  const u = ((Math.trunc(value) % mod) + mod) % mod;
+  return u >= mod / 2 ? u - mod : u;
+}
+
+// Valor sin signo de la palabra (ej. 8 bits: -1 → 255)
+export function toUnsigned(value, bits) {
+  const mod = 2 ** bits;
+  return ((wrap(value, bits) % mod) + mod) % mod;
+}
+
+// Z y N según el resultado; C y V se conservan salvo que se indiquen
+function withZN(value, prev, extra = {}) {
+  return { ...prev, Z: value === 0, N: value < 0, ...extra };
+}
+
+/* Carga de un valor al ACC (LOAD, LOADI, IN, POP, TXA): ajusta y actualiza Z/N */
+export function aluLoad(value, bits, flags = emptyFlags()) {
+  const v = wrap(value, bits);
+  return { value: v, flags: withZN(v, flags) };
+}
+
+/* Operación aritmética op ∈ ADD | SUB | MUL | DIV sobre a (ACC) y b (operando).
+   Devuelve { value, flags } con el resultado ya ajustado al ancho de palabra. */
+export function aluOp(op, a, b, bits) {
+  const { min, max } = wordRange(bits);
+  const sa = wrap(a, bits);
+  const sb = wrap(b, bits);
+
+  switch (op) {
+    case "ADD": {
+      const exact = sa + sb;
+      const value = wrap(exact, bits);
+      const C = toUnsigned(sa, bits) + toUnsigned(sb, bits) >= 2 ** bits;
+      return { value, flags: withZN(value, {}, { C, V: exact < min || exact > max }) };
+    }
+    case "SUB": {
+      const exact = sa - sb;
+      const value = wrap(exact, bits);
+      // C = préstamo (el minuendo sin signo es menor que el sustraendo)
+      const C = toUnsigned(sa, bits) < toUnsigned(sb, bits);
+      return { value, flags: withZN(value, {}, { C, V: exact < min || exact > max }) };
+    }
+    case "MUL": {
+      const exact = sa * sb;
+      const value = wrap(exact, bits);
+      const out = exact < min || exact > max;
+      return { value, flags: withZN(value, {}, { C: out, V: out }) };
+    }
+    case "DIV": {
+      // ÷0 deja ACC=0 y marca V; MIN / -1 tampoco cabe
+      if (sb === 0) return { value: 0, flags: withZN(0, {}, { C: false, V: true }) };
+      const exact = Math.trunc(sa / sb);
+      const value = wrap(exact, bits);
+      return { value, flags: withZN(value, {}, { C: false, V: exact > max }) };
+    }
+    default:
+      return { value: sa, flags: withZN(sa, emptyFlags()) };
+  }
+}
+
+// Banderas como una palabra (bits N Z C V = 8 4 2 1) para apilarlas en una interrupción
+const FLAG_BITS = { Z: 4, N: 8, C: 2, V: 1 };
+export function packFlags(flags) {
+  return Object.entries(FLAG_BITS).reduce((w, [f, bit]) => (flags?.[f] ? w | bit : w), 0);
+}
+export function unpackFlags(word) {
+  return Object.fromEntries(Object.entries(FLAG_BITS).map(([f, bit]) => [f, Boolean(word & bit)]));
+}
+
+// Texto compacto de las banderas activas (ej. "Z·C")
+export function formatFlags(flags) {
+  const on = ["Z", "N", "C", "V"].filter((f) => flags?.[f]);
+  return on.length ? on.join("·") : "—";
+}
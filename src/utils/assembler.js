@@ -0,0 +1,350 @@
+import {
+  NO_ARG_OPS,
+  IMMEDIATE_OPS,
+  ADDRESS_OPS,
+  STACK_OPS,
+  ADDRESS_RANGE,
+  IMMEDIATE_RANGE,
+  defaultMemSize,
+  encodeInstr,
+  interruptVector,
+  stackRegion,
+} from "./cpuHelpers.js";
+import { DEFAULT_LANG, msg, translate } from "./i18n.js";
+
+/* =========================================================
+   Ensamblador de dos pasadas
+   - Pasada 1: recorre el texto, registra etiquetas/variables/constantes
+     y cuenta cuántas celdas ocupa cada sección (.text y .data)
+   - Pasada 2: resuelve operandos (se permiten referencias adelantadas)
+     y genera la imagen de memoria con las instrucciones ya codificadas
+     como números (ver OPCODES en cpuHelpers)
+   Sintaxis:
+     // o ;             comentario hasta fin de línea
+     bucle: SUB 1       etiqueta (dirección de la instrucción)
+     .data / .text      cambia de sección (los datos van después del código)
+     X: .word 5         variable inicializada (una o varias celdas: .word 1, 2, 3)
+     .equ N 10          constante (no ocupa memoria)
+     .vector isr        dirección de la rutina de interrupción (va en la celda
+                        del vector, justo debajo de la pila: ver interruptVector)
+     LOADI @P           indirecto: la celda P guarda la dirección del dato
+     LOADI T, IX        indexado: dirección T + IX
+   Regla heredada del editor: en las operaciones inmediatas (LOAD/ADD/...)
+   el nombre de una variable usa su VALOR inicial; en las de dirección
+   (LOADI/STORE/JMP/...) usa su DIRECCIÓN.
+   ========================================================= */
+
+const SYMBOL_RE = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// ==== Errores estructurados (línea y columna empiezan en 1) ====
+// message = mensaje { code, params } del catálogo "asm.*" (ver i18n.js)
+function makeError(code, key, params, line, col) {
+  return { code, message: msg(`asm.${key}`, params), line, col };
+}
+
+// Quita comentarios (// o ;) conservando las columnas originales
+function stripComment(text) {
+  const cut = [text.indexOf("//"), text.indexOf(";")].filter((i) => i >= 0);
+  return cut.length ? text.slice(0, Math.min(...cut)) : text;
+}
+
+// Parte la línea en tokens {text, col} (col en base 1); las comas separan igual que los espacios
+function tokenize(text) {
+  const tokens = [];
+  const re = /[^\s,]+/g;
+  let m;
+  while ((m = re.exec(text)) !== null) tokens.push({ text: m[0], col: m.index + 1 });
+  return tokens;
+}
+
+function parseNumber(txt) {
+  if (!/^[-+]?(0x[0-9a-f]+|0b[01]+|\d+)$/i.test(txt)) return null;
+  const neg = txt.startsWith("-");
+  const body = txt.replace(/^[-+]/, "");
+  const n = Number(body);
+  return Number.isFinite(n) ? (neg ? -n : n) : null;
+}
+
+// ==== Pasada 1: estructura del programa ====
+function firstPass(source, errors) {
+  const items = [];   // { section, offset, kind: "instr"|"word", owner?, ... }
+  const symbols = {}; // NOMBRE → { kind, section?, offset?, value?, line }
+  const sizes = { text: 0, data: 0 };
+  let section = "text";
+  let vector = null; // { operand, line } de .vector
+
+  // Devuelve false si el nombre ya existía
+  const define = (name, info, line, col) => {
+    const key = name.toUpperCase();
+    if (symbols[key]) {
+      errors.push(makeError("DUPLICATE_SYMBOL", "duplicate", { name, first: symbols[key].line }, line, col));
+      return false;
+    }
+    symbols[key] = { ...info, line };
+    return true;
+  };
+
+  source.split("\n").forEach((rawLine, idx) => {
+    const line = idx + 1;
+    let tokens = tokenize(stripComment(rawLine));
+    let owner = null; // Variable cuyo valor inicial es el primer .word de la línea
+    if (tokens.length === 0) return;
+
+    // Etiqueta opcional "nombre:" (puede venir pegada a la instrucción: "loop:ADD 1")
+    const labelMatch = /^([^:]*):(.*)$/.exec(tokens[0].text);
+    if (labelMatch) {
+      const [, name, rest] = labelMatch;
+      if (!SYMBOL_RE.test(name)) {
+        errors.push(makeError("SYNTAX", "badLabel", { name }, line, tokens[0].col));
+        return;
+      }
+      const next = tokens.slice(1);
+      if (rest) next.unshift({ text: rest, col: tokens[0].col + name.length + 1 });
+      // Una etiqueta sobre .word es una variable; si no, es una etiqueta de código/datos
+      const isWord = next[0] && next[0].text.toLowerCase() === ".word";
+      const fresh = define(name, { kind: isWord ? "data" : "label", section, offset: sizes[section] }, line, tokens[0].col);
+      if (isWord && fresh) {
+        owner = name.toUpperCase();
+        symbols[owner].initTokens = next.slice(1);
+      }
+      tokens = next;
+      if (tokens.length === 0) return;
+    }
+
+    const head = tokens[0];
+
+    // Directivas
+    if (head.text.startsWith(".")) {
+      const dir = head.text.toLowerCase();
+      if (dir === ".data" || dir === ".text" || dir === ".code") {
+        if (tokens.length > 1) errors.push(makeError("UNEXPECTED_OPERAND", "noOperands", { name: head.text }, line, tokens[1].col));
+        section = dir === ".data" ? "data" : "text";
+        return;
+      }
+      if (dir === ".word") {
+        const values = tokens.slice(1);
+        if (values.length === 0) {
+          errors.push(makeError("MISSING_OPERAND", "wordValue", {}, line, head.col));
+          return;
+        }
+        values.forEach((v, i) => {
+          items.push({ section, offset: sizes[section], kind: "word", operand: v, owner: i === 0 ? owner : null, line });
+          sizes[section]++;
+        });
+        return;
+      }
+      if (dir === ".equ") {
+        const [, name, value, ...extra] = tokens;
+        if (!name || !value) {
+          errors.push(makeError("MISSING_OPERAND", "equValue", {}, line, head.col));
+          return;
+        }
+        if (!SYMBOL_RE.test(name.text)) {
+          errors.push(makeError("SYNTAX", "badConst", { name: name.text }, line, name.col));
+          return;
+        }
+        if (extra.length) errors.push(makeError("UNEXPECTED_OPERAND", "extraOperand", { text: extra[0].text }, line, extra[0].col));
+        define(name.text, { kind: "const", valueToken: value }, line, name.col);
+        return;
+      }
+      if (dir === ".vector") {
+        const [, target, ...extra] = tokens;
+        if (!target) {
+          errors.push(makeError("MISSING_OPERAND", "vectorValue", {}, line, head.col));
+          return;
+        }
+        if (vector) {
+          errors.push(makeError("DUPLICATE_SYMBOL", "vectorTwice", { first: vector.line }, line, head.col));
+          return;
+        }
+        if (extra.length) errors.push(makeError("UNEXPECTED_OPERAND", "extraOperand", { text: extra[0].text }, line, extra[0].col));
+        vector = { operand: target, line };
+        return;
+      }
+      errors.push(makeError("UNKNOWN_DIRECTIVE", "unknownDirective", { name: head.text }, line, head.col));
+      return;
+    }
+
+    // Instrucciones
+    const op = head.text.toUpperCase();
+    let operand = tokens[1];
+    let mode = ADDRESS_OPS.has(op) ? "direct" : undefined;
+    // Modos de direccionamiento: "@X" indirecto, "X, IX" indexado
+    if (operand && operand.text.startsWith("@")) {
+      mode = "indirect";
+      operand = { text: operand.text.slice(1), col: operand.col + 1 };
+    } else if (tokens.length === 3 && tokens[2].text.toUpperCase() === "IX") {
+      mode = "indexed";
+      tokens = tokens.slice(0, 2);
+    }
+    if (!NO_ARG_OPS.has(op) && !IMMEDIATE_OPS.has(op) && !ADDRESS_OPS.has(op)) {
+      errors.push(makeError("UNKNOWN_OPCODE", "unknownOp", { name: head.text }, line, head.col));
+    } else if (NO_ARG_OPS.has(op) && operand) {
+      errors.push(makeError("UNEXPECTED_OPERAND", "noOperand", { op }, line, operand.col));
+    } else if (!NO_ARG_OPS.has(op) && !operand) {
+      errors.push(makeError("MISSING_OPERAND", "needsOperand", { op }, line, head.col + head.text.length));
+    } else if (tokens.length > 2) {
+      errors.push(makeError("UNEXPECTED_OPERAND", "extraOperand", { text: tokens[2].text }, line, tokens[2].col));
+    } else if (mode && mode !== "direct" && !ADDRESS_OPS.has(op)) {
+      errors.push(makeError("SYNTAX", "immediateOnly", { op }, line, operand.col));
+    }
+    // Aun con error ocupa su celda, para no desplazar las direcciones siguientes
+    items.push({ section, offset: sizes[section], kind: "instr", op, operand, mode, line });
+    sizes[section]++;
+  });
+
+  return { items, symbols, sizes, vector };
+}
+
+/* Ensambla el texto fuente.
+   Opciones:
+     memSize  → celdas disponibles
+     vars     → { NOMBRE: valor } variables extra (p. ej. la tabla del editor);
+                se ubican al final de los datos si el programa no las define
+     reserved → [{ from, to, name }] celdas que el programa no puede ocupar
+                (dispositivos de E/S, ver reservedRanges en devices.js)
+   Devuelve { ok, memory, symbols, errors, size, sourceMap }:
+     memory    → arreglo listo para la CPU (palabras numéricas)
+     symbols   → { NOMBRE: { kind: "label"|"data"|"const", addr?, value?, line } }
+     errors    → [{ code, message, line, col }] ordenados por línea
+     sourceMap → línea del fuente de cada dirección (null: variable de la tabla)
+     tags      → { dirección: "code"|"data" } (instrucciones / .word y variables)
+*/
+export function assemble(source, { memSize = defaultMemSize, vars = {}, reserved = [] } = {}) {
+  const errors = [];
+  const { items, symbols, sizes, vector } = firstPass(String(source ?? ""), errors);
+
+  // Variables de la tabla que el programa no declaró: van tras los datos
+  const extraVars = Object.entries(vars).filter(([name]) => SYMBOL_RE.test(name) && !symbols[name.toUpperCase()]);
+  extraVars.forEach(([name, value]) => {
+    const n = Number(value);
+    symbols[name.toUpperCase()] = { kind: "data", section: "data", offset: sizes.data, value: Number.isFinite(n) ? n : 0, line: null };
+    sizes.data++;
+  });
+
+  const size = sizes.text + sizes.data;
+  const addrOf = (section, offset) => (section === "text" ? offset : sizes.text + offset);
+
+  // Resuelve valores de constantes (una .equ puede referirse a otra definida antes o después)
+  const resolving = new Set();
+  const resolveConst = (key) => {
+    const sym = symbols[key];
+    if (sym.value !== undefined) return sym.value;
+    if (resolving.has(key)) {
+      errors.push(makeError("SYNTAX", "circular", { name: key }, sym.line, sym.valueToken.col));
+      return 0;
+    }
+    resolving.add(key);
+    sym.value = resolveValue(sym.valueToken, sym.line, "value");
+    resolving.delete(key);
+    return sym.value;
+  };
+
+  /* Resuelve un token a número.
+     mode "address": variables/etiquetas → dirección
+     mode "value":   variables → valor inicial; etiquetas → dirección */
+  function resolveValue(token, line, mode) {
+    const n = parseNumber(token.text);
+    if (n !== null) return n;
+    if (!SYMBOL_RE.test(token.text)) {
+      errors.push(makeError("INVALID_NUMBER", "badOperand", { text: token.text }, line, token.col));
+      return 0;
+    }
+    const key = token.text.toUpperCase();
+    const sym = symbols[key];
+    if (!sym) {
+      errors.push(makeError("UNDEFINED_SYMBOL", "undefined", { name: token.text }, line, token.col));
+      return 0;
+    }
+    if (sym.kind === "const") return resolveConst(key);
+    if (sym.kind === "data" && mode === "value") return dataValue(key);
+    return addrOf(sym.section, sym.offset);
+  }
+
+  // Valor inicial de una variable (.word o tabla)
+  function dataValue(key) {
+    const sym = symbols[key];
+    if (sym.value !== undefined) return sym.value;
+    const first = sym.initTokens?.[0];
+    sym.value = 0;
+    if (first) sym.value = resolveValue(first, sym.line, "address");
+    return sym.value;
+  }
+
+  // ==== Pasada 2: genera memoria ====
+  const memory = Array.from({ length: memSize }, () => "");
+  const sourceMap = Array.from({ length: Math.min(size, memSize) }, () => null);
+  const tags = {};
+  const put = (addr, value, line, tag = "data") => {
+    if (addr < memSize) {
+      memory[addr] = value;
+      sourceMap[addr] = line;
+      tags[addr] = tag;
+    } else if (!errors.some((e) => e.code === "PROGRAM_TOO_LARGE")) {
+      errors.push(makeError("PROGRAM_TOO_LARGE", "tooLarge", { size, memSize }, line ?? 1, 1));
+    }
+  };
+
+  items.forEach((it) => {
+    const addr = addrOf(it.section, it.offset);
+    if (it.kind === "word") {
+      // El primer valor de una variable se resuelve una sola vez (dataValue lo guarda)
+      put(addr, it.owner ? dataValue(it.owner) : resolveValue(it.operand, it.line, "address"), it.line);
+      return;
+    }
+    // Instrucciones: se emiten ya codificadas como número
+    const args = it.operand && !NO_ARG_OPS.has(it.op)
+      ? [resolveValue(it.operand, it.line, ADDRESS_OPS.has(it.op) ? "address" : "value")]
+      : [];
+    const word = encodeInstr({ op: it.op, args, mode: it.mode });
+    if (word === null && errors.every((e) => e.line !== it.line)) {
+      const range = ADDRESS_OPS.has(it.op) ? ADDRESS_RANGE : IMMEDIATE_RANGE;
+      errors.push(makeError("OPERAND_RANGE", "range", { op: it.op, value: args[0], min: range.min, max: range.max }, it.line, it.operand?.col ?? 1));
+    }
+    put(addr, word ?? 0, it.line, "code");
+  });
+
+  extraVars.forEach(([name]) => {
+    const sym = symbols[name.toUpperCase()];
+    put(addrOf(sym.section, sym.offset), sym.value, null);
+  });
+
+  // Si el programa usa la pila, código y datos no deben invadir su región
+  const stackUser = items.find((it) => it.kind === "instr" && STACK_OPS.has(it.op));
+  const { limit } = stackRegion(memSize);
+  const vectorAddr = interruptVector(memSize);
+  if (vector && size > vectorAddr && size <= memSize) {
+    // Las interrupciones usan el vector y la pila (PC, banderas y ACC se apilan al entrar)
+    errors.push(makeError("VECTOR_OVERLAP", "vectorOverlap", { size, vector: vectorAddr }, vector.line, 1));
+  } else if (stackUser && size > limit && size <= memSize) {
+    errors.push(makeError("STACK_OVERLAP", "stackOverlap", { size, limit, last: memSize - 1 }, stackUser.line, 1));
+  }
+  // Código y datos tampoco pueden invadir las celdas de los dispositivos
+  const device = reserved.filter((r) => size > r.from && size <= memSize).sort((a, b) => a.from - b.from)[0];
+  if (device) {
+    const params = { size, device: device.name, from: device.from, to: device.to };
+    errors.push(makeError("DEVICE_OVERLAP", "deviceOverlap", params, sourceMap[device.from] ?? 1, 1));
+  }
+  // .vector: la dirección de la rutina va en la celda del vector (no cuenta en size)
+  if (vector && vectorAddr >= 0) {
+    memory[vectorAddr] = resolveValue(vector.operand, vector.line, "address");
+    tags[vectorAddr] = "data";
+  }
+
+  // Tabla de símbolos pública (direcciones ya resueltas)
+  const table = {};
+  Object.entries(symbols).forEach(([key, sym]) => {
+    if (sym.kind === "const") table[key] = { kind: "const", value: resolveConst(key), line: sym.line };
+    else if (sym.kind === "data") table[key] = { kind: "data", addr: addrOf(sym.section, sym.offset), value: dataValue(key), line: sym.line };
+    else table[key] = { kind: "label", addr: addrOf(sym.section, sym.offset), line: sym.line };
+  });
+
+  errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0) || a.col - b.col);
+  return { ok: errors.length === 0, memory, symbols: table, errors, size, sourceMap, tags };
+}
+
+// Texto legible de un error (para consola/lista del editor)
+export function formatAsmError(err, lang = DEFAULT_LANG) {
+  const text = translate(lang, err.message);
+  return err.line ? translate(lang, "asm.at", { line: err.line, col: err.col, text }) : text;
+}
@@ -0,0 +1,143 @@
+/* =========================================================
+   Caché entre la CPU y la memoria unificada
+   Viaja dentro del estado de la CPU (state.cache, null = sin caché), así que
+   se reinicia con ella y acompaña a cada instantánea de la línea de tiempo.
+   step() le pasa todos los accesos del paso (Fetch, lecturas y escrituras
+   de datos, ver memoryAccesses). La memoria del estado sigue siendo lo que
+   ve la CPU; la caché guarda copias de bloques para mostrar y contar:
+   - config: { enabled, lines, blockSize, ways, writePolicy }
+       ways = 1 → correspondencia directa; 2/4 → asociativa por conjuntos
+       writePolicy "back" (escribe al desalojar, con asignación en escritura)
+       o "through" (escribe siempre en memoria, sin asignación)
+   - lines: [{ valid, dirty, tag, block, data, lastUse }] (conjunto s, vía w →
+     lines[s * ways + w]); reemplazo LRU dentro del conjunto
+   - counters: { hits, misses, writebacks, memReads, memWrites } (palabras
+     transferidas entre memoria y caché)
+   - events: accesos del último paso [{ kind, addr, hit, line, evicted? }]
+   ========================================================= */
+
+export const LINE_COUNTS = [2, 4, 8, 16];
+export const BLOCK_SIZES = [1, 2, 4, 8];
+export const WAY_OPTIONS = [1, 2, 4];
+export const WRITE_POLICIES = ["back", "through"];
+export const MISS_PENALTY = 10; // Ciclos de un fallo (traer el bloque); un acierto cuesta 1
+
+export const DEFAULT_CACHE_CONFIG = { enabled: false, lines: 8, blockSize: 2, ways: 1, writePolicy: "back" };
+
+// Configuración válida a partir de una parcial o leída de JSON (lo inválido toma el valor por defecto)
+export function normalizeCacheConfig(config = {}) {
+  const pick = (list, value, fallback) => (list.includes(value) ? value : fallback);
+  const d = DEFAULT_CACHE_CONFIG;
+  const lines = pick(LINE_COUNTS, config.lines, d.lines);
+  return {
+    enabled: Boolean(config.enabled),
+    lines,
+    blockSize: pick(BLOCK_SIZES, config.blockSize, d.blockSize),
+    ways: Math.min(pick(WAY_OPTIONS, config.ways, d.ways), lines),
+    writePolicy: pick(WRITE_POLICIES, config.writePolicy, d.writePolicy),
+  };
+}
+
+const emptyLine = () => ({ valid: false, dirty: false, tag: null, block: null, data: [], lastUse: 0 });
+
+// Caché vacía (fría) para la configuración; null si está desactivada
+export function createCache(config) {
+  const c = normalizeCacheConfig(config);
+  if (!c.enabled) return null;
+  return {
+    config: c,
+    lines: Array.from({ length: c.lines }, emptyLine),
+    tick: 0,
+    counters: { hits: 0, misses: 0, writebacks: 0, memReads: 0, memWrites: 0 },
+    events: [],
+  };
+}
+
+// Conjunto y etiqueta de una dirección: bloque = dir / tamaño de bloque
+export function locate(config, addr) {
+  const sets = config.lines / config.ways;
+  const block = Math.floor(addr / config.blockSize);
+  return { block, offset: addr % config.blockSize, set: block % sets, tag: Math.floor(block / sets) };
+}
+
+/* Aplica los accesos de un paso ({ fetch, reads, writes }) a la caché.
+   memory: memoria antes del paso (de donde se traen los bloques);
+   after: memoria después (valores escritos). Devuelve la caché nueva. */
+export function cacheAccesses(cache, access, memory, after = memory) {
+  const { config } = cache;
+  const lines = cache.lines.slice();
+  const counters = { ...cache.counters };
+  const events = [];
+  let tick = cache.tick;
+
+  function lookup(addr) {
+    tick++;
+    const { block, offset, set, tag } = locate(config, addr);
+    const first = set * config.ways;
+    const ways = lines.slice(first, first + config.ways);
+    const way = ways.findIndex((l) => l.valid && l.tag === tag);
+    if (way >= 0) {
+      counters.hits++;
+      return { line: first + way, hit: true, offset };
+    }
+    counters.misses++;
+    // Víctima: una vía libre o la usada hace más tiempo
+    const free = ways.findIndex((l) => !l.valid);
+    const victim = free >= 0 ? free : ways.reduce((lru, l, w) => (l.lastUse < ways[lru].lastUse ? w : lru), 0);
+    return { line: first + victim, hit: false, offset, block, tag };
+  }
+
+  // Trae el bloque a la línea (antes, write-back de la víctima si estaba sucia)
+  function fill(slot) {
+    const old = lines[slot.line];
+    const evicted = old.valid ? { tag: old.tag, block: old.block, dirty: old.dirty } : null;
+    if (old.dirty) {
+      counters.writebacks++;
+      counters.memWrites += config.blockSize;
+    }
+    const start = slot.block * config.blockSize;
+    const data = Array.from({ length: config.blockSize }, (_, k) => memory[start + k] ?? "");
+    counters.memReads += config.blockSize;
+    lines[slot.line] = { valid: true, dirty: false, tag: slot.tag, block: slot.block, data, lastUse: tick };
+    return evicted;
+  }
+
+  function read(kind, addr) {
+    const slot = lookup(addr);
+    const evicted = slot.hit ? null : fill(slot);
+    lines[slot.line] = { ...lines[slot.line], lastUse: tick };
+    events.push({ kind, addr, hit: slot.hit, line: slot.line, evicted });
+  }
+
+  function write(addr) {
+    const slot = lookup(addr);
+    if (!slot.hit && config.writePolicy === "through") {
+      // Sin asignación en escritura: va directo a memoria
+      counters.memWrites++;
+      events.push({ kind: "write", addr, hit: false, line: null, evicted: null });
+      return;
+    }
+    const evicted = slot.hit ? null : fill(slot);
+    const line = lines[slot.line];
+    const data = line.data.slice();
+    data[slot.offset] = after[addr];
+    const through = config.writePolicy === "through";
+    if (through) counters.memWrites++;
+    lines[slot.line] = { ...line, data, dirty: !through, lastUse: tick };
+    events.push({ kind: "write", addr, hit: slot.hit, line: slot.line, evicted });
+  }
+
+  access.fetch.forEach((addr) => read("fetch", addr));
+  access.reads.forEach((addr) => read("read", addr));
+  access.writes.forEach((addr) => write(addr));
+  return { ...cache, lines, counters, events, tick };
+}
+
+/* Resumen: accesos, tasa de aciertos y tiempo medio de acceso
+   (AMAT = 1 + tasa de fallos × MISS_PENALTY ciclos) */
+export function summarizeCache(cache) {
+  const { hits, misses } = cache.counters;
+  const accesses = hits + misses;
+  const missRate = accesses ? misses / accesses : 0;
+  return { accesses, hitRate: accesses ? hits / accesses : 0, missRate, amat: 1 + missRate * MISS_PENALTY };
+}
@@ -1,12 +1,92 @@
+import { aluLoad, aluOp, defaultWordBits, emptyFlags, packFlags } from "./alu.js";
+import { emptyStats, recordStats } from "./stats.js";
+import { tagAccesses } from "./tags.js";
+import { msg } from "./i18n.js";
+import { ADDRESS_OPS, IMMEDIATE_OPS, ISA, NO_ARG_OPS, OPCODES, opByCode } from "./isa.js";
+import { fetchOverlaps } from "./harvard.js";
+import { cacheAccesses } from "./cache.js";
+import { IRQ_FRAME, createTimer, interruptPending, tickTimer } from "./interrupts.js";
+import { deviceRead, ioAccesses, withoutDevices } from "./devices.js";
+
+// El juego de instrucciones vive en isa.js; se reexporta para los módulos que ya lo importaban de aquí
+export { ADDRESS_OPS, IMMEDIATE_OPS, NO_ARG_OPS, OPCODES, STACK_OPS } from "./isa.js";
+
 // ==== Helpers base ====
 export const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 export const isNumber = (x) => typeof x === "number" && !Number.isNaN(x);
 
+// ==== Modos de direccionamiento (solo ADDRESS_OPS) ====
+//   "OP n"     directo   → dirección efectiva n
+//   "OP @n"    indirecto → dirección efectiva Mem[n] (n guarda un puntero)
+//   "OP n,IX"  indexado  → dirección efectiva n + IX
+export function parseAddrOperand(txt) {
+  const t = String(txt).replace(/\s+/g, "");
+  if (t.startsWith("@")) return { mode: "indirect", base: t.slice(1) };
+  const idx = /^(.*),IX$/i.exec(t);
+  if (idx) return { mode: "indexed", base: idx[1] };
+  return { mode: "direct", base: t };
+}
+
+// Texto del operando según su modo ("6", "@6", "6,IX")
+export function formatOperand({ args, mode }) {
+  if (args[0] === undefined) return "";
+  if (mode === "indirect") return `@${args[0]}`;
+  if (mode === "indexed") return `${args[0]},IX`;
+  return String(args[0]);
+}
+
+// ==== Codificación binaria (palabra de instrucción de 16 bits) ====
+//   bits 15..10 opcode · bits 9..8 modo · bits 7..0 operando
+//   - Opcode 0 = DATA: los números 0..1023 (y los negativos) son datos
+//   - Operando inmediato con signo (-128..127); dirección sin signo (0..255)
+//   - Los opcodes salen de la tabla del juego de instrucciones (isa.js)
+const MODE_CODES = { direct: 0, indirect: 1, indexed: 2 };
+const MODE_BY_CODE = ["direct", "indirect", "indexed"];
+export const IMMEDIATE_RANGE = { min: -128, max: 127 };
+export const ADDRESS_RANGE = { min: 0, max: 255 };
+
+// Instrucción → número (null si la operación u operando no se pueden codificar)
+export function encodeInstr({ op, args = [], mode }) {
+  const code = OPCODES[op];
+  if (code === undefined || op === "DATA") return null;
+  let operand = 0;
+  if (IMMEDIATE_OPS.has(op)) {
+    operand = args[0] ?? 0;
+    if (!Number.isInteger(operand) || operand < IMMEDIATE_RANGE.min || operand > IMMEDIATE_RANGE.max) return null;
+  } else if (ADDRESS_OPS.has(op)) {
+    operand = args[0] ?? 0;
+    if (!Number.isInteger(operand) || operand < ADDRESS_RANGE.min || operand > ADDRESS_RANGE.max) return null;
+  }
+  return code * 1024 + (MODE_CODES[mode] ?? 0) * 256 + (operand & 0xff);
+}
+
+// Número → instrucción { op, args, mode? } (lo que hace la CPU en Decode)
+export function decodeWord(n) {
+  if (!Number.isInteger(n) || n < 1024 || n > 0xffff) return { op: "DATA", args: [n] };
+  const op = opByCode(n >> 10);
+  const modeCode = (n >> 8) & 3;
+  const operand = n & 0xff;
+  if (!op) return { op: "INVALID", args: [n] };
+  if (NO_ARG_OPS.has(op)) return { op, args: [] };
+  if (IMMEDIATE_OPS.has(op)) return { op, args: [operand >= 128 ? operand - 256 : operand] };
+  if (!MODE_BY_CODE[modeCode]) return { op: "INVALID", args: [n] };
+  return { op, args: [operand], mode: MODE_BY_CODE[modeCode] };
+}
+
+// Texto ensamblador de una celda ("ADD 2", "LOADI @6", o el número si es dato)
+export function instrText(cell) {
+  if (cell == null || cell === "") return "NOP";
+  if (typeof cell !== "number") return String(cell).trim();
+  const p = decodeWord(cell);
+  if (p.op === "DATA" || p.op === "INVALID") return String(cell);
+  return p.args.length ? `${p.op} ${formatOperand(p)}` : p.op;
+}
+
 // ==== Parser de instrucciones ====
-// Acepta: número → DATA, string "OP ARG" → {op,args}, vacío → NOP
+// Acepta: número → instrucción codificada (o DATA), string "OP ARG" → {op,args,mode?}, vacío → NOP
 export function parseInstr(raw) {
   if (raw == null) return { op: "NOP", args: [] };
-  if (typeof raw === "number") return { op: "DATA", args: [raw] };
+  if (typeof raw === "number") return decodeWord(raw);
 
   const txt = String(raw).trim();
   if (txt === "") return { op: "NOP", args: [] };
@@ -16,163 +96,280 @@ export function parseInstr(raw) {
   const arg = parts[1] !== undefined ? parts[1] : undefined;
   const num = arg !== undefined ? Number(arg) : undefined;
 
-  switch (op) {
-    case "HLT":
-    case "NOP":
-    case "OUT":
-      return { op, args: [] };
-
-    // Inmediatas (arg es número directo)
-    case "LOAD":
-    case "ADD":
-    case "SUB":
-    case "MUL":
-    case "DIV":
-      return { op, args: [Number.isFinite(num) ? num : 0] };
-
-    // Con argumento (normalmente dirección/salto)
-    case "LOADI":
-    case "ADDM":
-    case "SUBM":
-    case "STORE":
-    case "JMP":
-    case "JZ":
-    case "JNZ":
-      return { op, args: [Number.isFinite(num) ? num : 0] };
-
-    default:
-      return { op: "INVALID", args: [txt] };
+  if (NO_ARG_OPS.has(op)) return { op, args: [] };
+  if (IMMEDIATE_OPS.has(op)) {
+    return { op, args: [Number.isFinite(num) ? num : 0] };
+  }
+  if (ADDRESS_OPS.has(op)) {
+    // El operando puede venir como "5,IX" o "5, IX"
+    const { mode, base } = parseAddrOperand(parts.slice(1).join(""));
+    const n = base === "" ? NaN : Number(base);
+    return { op, args: [Number.isFinite(n) ? n : 0], mode };
   }
+  return { op: "INVALID", args: [txt] };
 }
 
 // ==== Lectura de datos desde memoria (normaliza a número) ====
+// Una celda con texto de instrucción ("ADD 2") se lee como su codificación
 export function parseData(cell) {
   if (isNumber(cell)) return cell;
   if (typeof cell === "string") {
     const n = Number(cell.trim());
-    return Number.isFinite(n) ? n : 0;
+    if (Number.isFinite(n)) return n;
+    return encodeInstr(parseInstr(cell)) ?? 0;
   }
   return 0;
 }
 
 // ==== Config por defecto (igual que tu app) ====
 export const defaultMemSize = 16;
+export const memSizeOptions = [16, 32, 64, 128, 256];
+
+// ==== Cambio de tamaño de memoria (conserva el contenido que quepa) ====
+export function resizeMemory(memory, size) {
+  if (size <= memory.length) return memory.slice(0, size);
+  return [...memory, ...Array.from({ length: size - memory.length }, () => "")];
+}
+
+// Formato de dirección para la UI: decimal "12" o hexadecimal "0x0C"
+export function formatAddr(addr, hex, memSize) {
+  if (!hex) return String(addr);
+  const digits = Math.max(2, (memSize - 1).toString(16).length);
+  return "0x" + addr.toString(16).toUpperCase().padStart(digits, "0");
+}
+
+// ==== Región de pila ====
+// Ocupa las últimas celdas de la memoria y crece hacia abajo:
+// SP = base → pila vacía; PUSH hace SP-- y escribe en Mem[SP].
+// Por debajo de "limit" está la zona de programa/datos (desborde).
+export function stackRegion(memSize) {
+  const size = Math.max(4, Math.floor(memSize / 4));
+  return { base: memSize, limit: memSize - size };
+}
+
+// ==== Cambio de tamaño con la pila en uso ====
+// Las palabras apiladas [sp, fin) se mudan al final de la nueva memoria junto
+// con SP (la pila sigue arriba de todo); si no entran en la nueva región, la
+// pila queda vacía. Devuelve { memory, sp, depth, dropped }.
+export function resizeWithStack(memory, sp, size) {
+  const depth = clamp(memory.length - (sp ?? memory.length), 0, memory.length);
+  const next = resizeMemory(memory, size);
+  if (depth === 0) return { memory: next, sp: size, depth, dropped: false };
+  const words = memory.slice(memory.length - depth);
+  for (let a = memory.length - depth; a < Math.min(memory.length, size); a++) next[a] = "";
+  if (depth > size - stackRegion(size).limit) return { memory: next, sp: size, depth, dropped: true };
+  words.forEach((w, k) => { next[size - depth + k] = w; });
+  return { memory: next, sp: size - depth, depth, dropped: false };
+}
+
+// ==== Vector de interrupción ====
+// Celda justo debajo de la pila: guarda la dirección de la rutina (ISR)
+export function interruptVector(memSize) {
+  return stackRegion(memSize).limit - 1;
+}
 
 // OJO: sin corchetes para que el parser no convierta a 0
 export const sampleProgram = ["LOAD 2", "ADD 2", "STORE 7", "OUT", "HLT"];
 
+// ==== Dirección efectiva según el modo de direccionamiento ====
+// state aporta memory (para indirecto) e ix (para indexado)
+export function effectiveAddress({ args, mode }, { memory, ix = 0 }) {
+  const top = memory.length - 1;
+  const base = clamp(args[0], 0, top);
+  if (mode === "indirect") return clamp(parseData(memory[base]), 0, top);
+  if (mode === "indexed") return clamp(args[0] + ix, 0, top);
+  return base;
+}
+
 // ==== Utilidad para resaltar dirección objetivo según IR ====
-export function targetAddressFromIR(ir, memSize) {
-  const { op, args } = parseInstr(ir);
-  const addrOps = new Set(["LOADI", "ADDM", "SUBM", "STORE", "JMP", "JZ", "JNZ"]);
-  if (addrOps.has(op) && Number.isFinite(args?.[0])) return clamp(args[0], 0, memSize - 1);
-  return null;
+// Con "state" ({memory, ix}) resuelve la dirección efectiva de @n y n,IX
+export function targetAddressFromIR(ir, memSize, state) {
+  const p = parseInstr(ir);
+  if (!ADDRESS_OPS.has(p.op) || !Number.isFinite(p.args?.[0])) return null;
+  if (state) return effectiveAddress(p, state);
+  return clamp(p.args[0], 0, memSize - 1);
+}
+
+// ==== Estado inicial de la CPU ====
+// memory: arreglo ya cargado (se usa tal cual) o tamaño para crear uno vacío
+export function createCpuState(memory = defaultMemSize) {
+  return {
+    memory: Array.isArray(memory) ? memory : Array.from({ length: memory }, () => ""),
+    pc: 0,
+    ir: "NOP",
+    acc: 0,
+    flags: emptyFlags(),        // Z, N, C, V (las actualizan las operaciones del ACC)
+    wordBits: defaultWordBits,  // Ancho de palabra del ACC (8 o 16, complemento a dos)
+    ix: 0,            // Registro índice (modo n,IX)
+    sp: Array.isArray(memory) ? memory.length : memory, // Stack pointer (pila vacía)
+    mar: 0,           // Registro de dirección de memoria (vista RTL)
+    mdr: 0,           // Registro de datos de memoria (vista RTL)
+    phase: "Idle",    // Idle | Fetch | Decode | Execute | Interrupt (entrada a la ISR, ver interrupts.js)
+    halted: false,
+    fault: null,      // null | "INVALID" | "STACK_OVERFLOW" | "STACK_UNDERFLOW" | "INPUT_EMPTY" | "WRITE_CODE" | "EXEC_DATA"
+    outputs: [],
+    inputs: [],            // Cola de entrada que consume IN
+    inputPolicy: "pause",  // IN con cola vacía: "pause" (espera) | "fault" (error)
+    waitingInput: false,   // IN en espera de un valor (la fase queda en Decode)
+    stats: emptyStats(),   // Ciclos, instrucciones y accesos a memoria (ver stats.js)
+    tags: {},              // Celdas de código/datos { dir: "code"|"data" } (ver tags.js)
+    cellAlerts: {},        // Celdas con escritura sobre código o ejecución de datos { dir: tipo }
+    tagAlerts: [],         // Alertas del último paso [{ kind, addr }]
+    strictTags: false,     // Modo estricto: esas alertas detienen la CPU
+    cache: null,           // Caché entre CPU y memoria (ver cache.js); null = sin caché
+    ie: false,             // Interrupciones habilitadas (EI / DI / IRET)
+    irq: null,             // Pedido de interrupción pendiente: null | "external" | "timer"
+    timer: createTimer(),  // Temporizador programable { period, count } (TMR n)
+    io: null,              // Dispositivos de E/S mapeados en memoria (ver devices.js); null = sin dispositivos
+  };
+}
+
+// ==== Accesos a memoria de un paso prev → next ====
+// { fetch: [dir], reads: [dir], writes: [dir] }: lectura de la instrucción
+// en Fetch; en Execute, operandos, punteros (@n) y pila; al entrar a una
+// interrupción, el vector y PC/banderas/ACC apilados. data: dirección
+// efectiva del dato leído (LOAD, ADD, ...), null si el paso no lee un dato
+export function memoryAccesses(prev, next) {
+  const none = { fetch: [], reads: [], writes: [], data: null };
+  if (next === prev || prev.halted) return none;
+  const sp = prev.sp ?? prev.memory.length;
+  if (next.phase === "Interrupt") {
+    return next.fault ? none : { ...none, reads: [interruptVector(prev.memory.length)], writes: IRQ_FRAME.map((_, k) => sp - 1 - k) };
+  }
+  if (prev.phase === "Idle" || prev.phase === "Execute" || prev.phase === "Interrupt") return { ...none, fetch: [prev.pc] };
+  if (prev.phase !== "Decode" || next.phase !== "Execute" || next.fault) return none;
+
+  // Lo que accede cada instrucción está declarado en la tabla (memory / stack)
+  const p = parseInstr(prev.ir);
+  const entry = ISA[p.op];
+  const reads = [];
+  const writes = [];
+  if (ADDRESS_OPS.has(p.op) && p.mode === "indirect") reads.push(p.args[0]); // Puntero
+  const ea = ADDRESS_OPS.has(p.op) ? effectiveAddress(p, prev) : null;
+  const words = entry?.stackWords ?? 1;
+  if (entry?.memory === "read") reads.push(ea);
+  if (entry?.memory === "write") writes.push(ea);
+  for (let k = 0; k < words; k++) {
+    if (entry?.stack === "push") writes.push(sp - 1 - k);
+    if (entry?.stack === "pop") reads.push(sp + k);
+  }
+  return { fetch: [], reads, writes, data: entry?.memory === "read" ? ea : null };
 }
 
 // ==== Núcleo “puro” de un paso (útil para tests/headless) ====
-// No depende de React. Recibe un "state" y devuelve { state, lastAction }.
+// No depende de React. Recibe un "state" y devuelve { state, lastAction }, con
+// lastAction como mensaje { code, params, alerts? } (se traduce con i18n.js).
+// Además de la fase, actualiza las estadísticas de ejecución (state.stats),
+// las etiquetas de código/datos, la caché (state.cache, ver cache.js), los
+// dispositivos de E/S (state.io, ver devices.js) y el temporizador de
+// interrupciones; en modo estricto las alertas detienen la CPU.
 export function step(state) {
-  if (state.halted) return { state, lastAction: "CPU detenida" };
+  const result = runPhase(state);
+  // Sin cambios, o IN esperando un valor: no es un ciclo (ni estadísticas ni temporizador)
+  if (result.state === state || result.state.waitingInput) return result;
+  const access = memoryAccesses(state, result.state);
+  const { tags, alerts } = tagAccesses(state.tags, access);
+  let cellAlerts = state.cellAlerts ?? {};
+  alerts.forEach((a) => { cellAlerts = { ...cellAlerts, [a.addr]: a.kind }; });
+  if (alerts.length && state.strictTags) {
+    // La fase no se aplica: se detiene antes de ejecutar/escribir
+    const [alert] = alerts;
+    return {
+      state: { ...state, phase: "Execute", halted: true, fault: alert.kind, cellAlerts, tagAlerts: alerts },
+      lastAction: msg("cpu.strict", { alert: msg(`alert.${alert.kind}`, alert) }),
+    };
+  }
+
+  const completed = state.phase === "Decode" && result.state.phase === "Execute" && !result.state.fault;
+  const done = completed ? parseInstr(state.ir).op : null;
+  const stats = recordStats(state.stats, access, done, fetchOverlaps(state, result.state, access));
+  // Todos los accesos del paso pasan por la caché (si hay), salvo los de E/S
+  const cache = state.cache ? cacheAccesses(state.cache, withoutDevices(state.io, access), state.memory, result.state.memory) : null;
+  const io = state.io ? ioAccesses(state.io, access, result.state.memory) : null;
+  const lastAction = alerts.length ? { ...result.lastAction, alerts } : result.lastAction;
+  // El temporizador cuenta instrucciones completadas
+  const next = completed ? tickTimer(result.state) : result.state;
+  return { lastAction, state: { ...next, stats, tags, cellAlerts, tagAlerts: alerts, cache, io } };
+}
+
+// Una fase del ciclo (sin estadísticas)
+function runPhase(state) {
+  if (state.halted) return { state, lastAction: msg("cpu.halted") };
 
   const { memory, pc, ir, acc, phase } = state;
+  const ix = state.ix ?? 0;
+  const bits = state.wordBits ?? defaultWordBits;
+  const flags = state.flags ?? emptyFlags();
+  const sp = state.sp ?? memory.length;
+  const stack = stackRegion(memory.length);
   const clampPC = (x) => Math.max(0, Math.min(x, memory.length - 1));
   const nextPC = () => clampPC(pc + 1);
 
-  if (phase === "Idle" || phase === "Execute") {
+  // Pila: push/pop devuelven null si se saldrían de la región
+  const push = (value) => {
+    if (sp - 1 < stack.limit) return null;
+    const m = memory.slice();
+    m[sp - 1] = value;
+    return { memory: m, sp: sp - 1 };
+  };
+  const pop = (at = sp) => (at >= stack.base ? null : { value: parseData(memory[at]), sp: at + 1 });
+  const overflow = { state: { ...state, phase: "Execute", halted: true, fault: "STACK_OVERFLOW" }, lastAction: msg("cpu.stackOverflow", { sp, limit: stack.limit }) };
+  const underflow = { state: { ...state, phase: "Execute", halted: true, fault: "STACK_UNDERFLOW" }, lastAction: msg("cpu.stackUnderflow") };
+
+  // Entre Execute y Fetch: con IE = 1 y un pedido pendiente, entra a la rutina
+  // en lugar de traer la instrucción siguiente
+  if (interruptPending(state)) {
+    const vector = interruptVector(memory.length);
+    const top = sp - IRQ_FRAME.length;
+    if (top < stack.limit) return { ...overflow, state: { ...overflow.state, phase: "Interrupt" } };
+    const m = memory.slice();
+    const saved = { PC: pc, FLAGS: packFlags(flags), ACC: acc };
+    IRQ_FRAME.forEach((reg, k) => { m[sp - 1 - k] = saved[reg]; });
+    const isr = clampPC(parseData(memory[vector]));
+    return {
+      state: { ...state, phase: "Interrupt", memory: m, sp: top, pc: isr, ie: false, irq: null },
+      lastAction: msg("cpu.interrupt", { source: msg(`irq.${state.irq}`), vector, isr, ret: pc, slot: top }),
+    };
+  }
+
+  if (phase === "Idle" || phase === "Execute" || phase === "Interrupt") {
     const instr = memory[pc];
     const newIR = instr ?? "NOP";
-    return { state: { ...state, phase: "Fetch", ir: newIR }, lastAction: `FETCH @${pc}: ${instr || "NOP"}` };
+    return { state: { ...state, phase: "Fetch", ir: newIR }, lastAction: msg("cpu.fetch", { pc, instr: instrText(instr) }) };
   }
 
   if (phase === "Fetch") {
     const p = parseInstr(ir);
-    return { state: { ...state, phase: "Decode" }, lastAction: `DECODE: ${p.op}${p.args[0] !== undefined ? " " + p.args[0] : ""}` };
+    return { state: { ...state, phase: "Decode" }, lastAction: msg("cpu.decode", { instr: `${p.op}${p.args[0] !== undefined ? " " + formatOperand(p) : ""}` }) };
   }
 
   if (phase === "Decode") {
-    const { op, args } = parseInstr(ir);
-    const arg = args[0];
-
-    switch (op) {
-      case "NOP":
-        return { state: { ...state, phase: "Execute", pc: nextPC() }, lastAction: "EXEC: NOP" };
-
-      case "HLT":
-        return { state: { ...state, phase: "Execute", halted: true }, lastAction: "EXEC: HLT (CPU detenida)" };
-
-      case "LOAD":
-        return { state: { ...state, phase: "Execute", acc: arg, pc: nextPC() }, lastAction: `EXEC: LOAD #${arg} → ACC=${arg}` };
-
-      case "LOADI": {
-        const v = parseData(memory[arg]);
-        return { state: { ...state, phase: "Execute", acc: v, pc: nextPC() }, lastAction: `EXEC: LOADI [${arg}] → ACC=${v}` };
-      }
-
-      case "STORE": {
-        const m = memory.slice();
-        m[arg] = state.acc;
-        return { state: { ...state, phase: "Execute", memory: m, pc: nextPC() }, lastAction: `EXEC: STORE ACC(${state.acc}) → [${arg}]` };
-      }
-
-      case "ADD": {
-        const v = acc + arg;
-        return { state: { ...state, phase: "Execute", acc: v, pc: nextPC() }, lastAction: `EXEC: ADD #${arg} → ACC=${v}` };
-      }
-
-      case "ADDM": {
-        const d = parseData(memory[arg]);
-        const v = acc + d;
-        return { state: { ...state, phase: "Execute", acc: v, pc: nextPC() }, lastAction: `EXEC: ADDM [${arg}]=${d} → ACC=${v}` };
-      }
-
-      case "SUB": {
-        const v = acc - arg;
-        return { state: { ...state, phase: "Execute", acc: v, pc: nextPC() }, lastAction: `EXEC: SUB #${arg} → ACC=${v}` };
-      }
-
-      case "SUBM": {
-        const d = parseData(memory[arg]);
-        const v = acc - d;
-        return { state: { ...state, phase: "Execute", acc: v, pc: nextPC() }, lastAction: `EXEC: SUBM [${arg}]=${d} → ACC=${v}` };
-      }
-
-      case "MUL": {
-        const v = acc * arg;
-        return { state: { ...state, phase: "Execute", acc: v, pc: nextPC() }, lastAction: `EXEC: MUL #${arg} → ACC=${v}` };
-      }
-
-      case "DIV": {
-        const v = arg === 0 ? 0 : Math.trunc(acc / arg);
-        const msg = arg === 0 ? `EXEC: DIV #${arg} (÷0) → ACC=0` : `EXEC: DIV #${arg} → ACC=${v}`;
-        return { state: { ...state, phase: "Execute", acc: v, pc: nextPC() }, lastAction: msg };
-      }
-
-      case "JMP":
-        return { state: { ...state, phase: "Execute", pc: clampPC(arg) }, lastAction: `EXEC: JMP → PC=${arg}` };
-
-      case "JZ":
-        if (acc === 0) return { state: { ...state, phase: "Execute", pc: clampPC(arg) }, lastAction: `EXEC: JZ (ACC=0) → PC=${arg}` };
-        return { state: { ...state, phase: "Execute", pc: nextPC() }, lastAction: "EXEC: JZ (no salta)" };
-
-      case "JNZ":
-        if (acc !== 0) return { state: { ...state, phase: "Execute", pc: clampPC(arg) }, lastAction: `EXEC: JNZ (ACC!=0) → PC=${arg}` };
-        return { state: { ...state, phase: "Execute", pc: nextPC() }, lastAction: "EXEC: JNZ (no salta)" };
-
-      case "OUT": {
-        const outs = [...state.outputs, acc].slice(-50);
-        return { state: { ...state, phase: "Execute", outputs: outs, pc: nextPC() }, lastAction: `EXEC: OUT → ${acc}` };
-      }
-
-      case "DATA":
-        return { state: { ...state, phase: "Execute", pc: nextPC() }, lastAction: "EXEC: DATA (sin efecto)" };
-
-      case "INVALID":
-        return { state: { ...state, phase: "Execute", halted: true }, lastAction: "ERROR: instrucción inválida" };
-
-      default:
-        return { state: { ...state, phase: "Execute", halted: true }, lastAction: `ERROR: op desconocida ${op}` };
+    const p = parseInstr(ir);
+    const { op, args } = p;
+    const entry = ISA[op];
+    if (op === "DATA") return { state: { ...state, phase: "Execute", pc: nextPC() }, lastAction: msg("cpu.data") };
+    if (!entry) {
+      const lastAction = op === "INVALID" ? msg("cpu.invalid") : msg("cpu.unknownOp", { op });
+      return { state: { ...state, phase: "Execute", halted: true, fault: "INVALID" }, lastAction };
     }
+    // La semántica está en la tabla (isa.js); arg es la dirección efectiva
+    // en las de dirección (directo, @indirecto o indexado)
+    return entry.execute({
+      state, op, memory, acc, ix, sp, flags, bits,
+      arg: ADDRESS_OPS.has(op) ? effectiveAddress(p, state) : args[0],
+      read: (addr) => deviceRead(state.io, addr) ?? parseData(memory[addr]),
+      nextPC, clampPC, push, pop, overflow, underflow,
+      setAcc: (value) => {
+        const r = aluLoad(value, bits, flags);
+        return { acc: r.value, flags: r.flags };
+      },
+      alu: (aluName, b) => {
+        const r = aluOp(aluName, acc, b, bits);
+        return { acc: r.value, flags: r.flags };
+      },
+      done: (changes, lastAction) => ({ state: { ...state, phase: "Execute", ...changes }, lastAction }),
+    });
   }
 
-  return { state, lastAction: "(sin cambio)" };
+  return { state, lastAction: msg("cpu.noChange") };
 }
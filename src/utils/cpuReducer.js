@@ -0,0 +1,348 @@
+import { clamp, createCpuState, interruptVector, resizeWithStack } from "./cpuHelpers.js";
+import { breakReason, createDebugState, toggleIn } from "./debugger.js";
+import { aluLoad, defaultWordBits } from "./alu.js";
+import { stepRTL } from "./microops.js";
+import { dropLastSteps, noteEvent, traceEvent } from "./trace.js";
+import { msg } from "./i18n.js";
+import { DEFAULT_CACHE_CONFIG, createCache, normalizeCacheConfig } from "./cache.js";
+import { createTimer, normalizeTimerPeriod, raiseInterrupt } from "./interrupts.js";
+import { createIo, normalizeDevices, typeKeys } from "./devices.js";
+
+/* =========================================================
+   Reducer del simulador (para useReducer en la página)
+   - cpu: estado puro que avanza SOLO con step() (misma lógica que headless)
+   - running: ejecución automática (play/pausa)
+   - lastAction: mensaje de la última acción ({ code, params }, ver i18n.js) o null
+   - trace: traza estructurada (un evento por fase + notas de la UI, ver
+     trace.js); la consola la muestra como texto y se puede exportar. Al
+     seguir desde un ciclo pasado se descartan las fases del futuro abandonado
+   - timeline / cursor: instantáneas de la CPU (PC, IR, ACC, fase, memoria,
+     salidas) tras cada paso, para volver atrás o saltar a cualquier ciclo
+   - debug: breakpoints/watchpoints que pausan la ejecución automática
+   - inputs / inputPolicy: cola de entrada configurada para IN; se restaura
+     en cada reset para poder correr el mismo programa con otros datos
+   - wordBits: ancho de palabra del ACC (8/16 bits) que se conserva al resetear
+   - strictTags: modo estricto de código/datos (ver tags.js), también se conserva
+   - cacheConfig: configuración de la caché (ver cache.js); cada reset arranca
+     con la caché vacía
+   - timerPeriod: período inicial del temporizador de interrupciones (ver
+     interrupts.js; 0 = apagado); cada reset lo vuelve a programar
+   - deviceConfig: dispositivos de E/S mapeados en memoria (ver devices.js);
+     cada reset los deja con la pantalla y el teclado vacíos
+   - rtl: modo detallado; "Paso" recorre las microoperaciones de la fase
+     (pending = { from, result, index }) y la fase se confirma al llegar
+     a la última
+   Las acciones que registran mensajes reciben "ts" desde afuera para que
+   el reducer siga siendo puro. Los mensajes se guardan sin traducir.
+   ========================================================= */
+
+const TRACE_LIMIT = 20000;   // Eventos de traza guardados (los más viejos se descartan)
+const TIMELINE_LIMIT = 2000; // Instantáneas guardadas (las más viejas se descartan)
+
+export function createSimState(memSize) {
+  const cpu = createCpuState(memSize);
+  return {
+    cpu, running: false, lastAction: null, trace: [], timeline: [cpu], cursor: 0,
+    debug: createDebugState(), inputs: [], inputPolicy: "pause", wordBits: defaultWordBits, strictTags: false,
+    cacheConfig: DEFAULT_CACHE_CONFIG, timerPeriod: 0, deviceConfig: [],
+    rtl: { enabled: false, pending: null },
+  };
+}
+
+// Nueva CPU "actual": descarta el futuro si se estaba en un ciclo pasado
+// (instantáneas y sus eventos de traza: la traza describe una sola ejecución)
+function pushSnapshot(sim, cpu) {
+  const timeline = [...sim.timeline.slice(0, sim.cursor + 1), cpu].slice(-TIMELINE_LIMIT);
+  return { ...sim, cpu, timeline, cursor: timeline.length - 1, trace: traceToCursor(sim) };
+}
+
+// Reemplaza la instantánea actual (ediciones manuales) y descarta el futuro
+function replaceSnapshot(sim, cpu) {
+  const timeline = [...sim.timeline.slice(0, sim.cursor), cpu];
+  return { ...sim, cpu, timeline, cursor: timeline.length - 1, trace: traceToCursor(sim) };
+}
+
+/* Traza hasta el ciclo que se está viendo: sin las fases posteriores al
+   cursor (una por instantánea). Con el cursor en el pasado, lo que se arma
+   desde la traza (el pipeline) describe la CPU que se muestra */
+export function traceToCursor(sim) {
+  return dropLastSteps(sim.trace, sim.timeline.length - 1 - sim.cursor);
+}
+
+// Línea de tiempo nueva a partir de una CPU (reset/carga), con la cola de entrada configurada
+function restart(sim, fresh) {
+  const cpu = {
+    ...fresh, inputs: sim.inputs, inputPolicy: sim.inputPolicy, wordBits: sim.wordBits, strictTags: sim.strictTags,
+    cache: createCache(sim.cacheConfig), timer: createTimer(sim.timerPeriod), io: createIo(sim.deviceConfig),
+  };
+  return { ...stopRun(sim), cpu, lastAction: null, trace: [], timeline: [cpu], cursor: 0 };
+}
+
+// Agrega un evento a la traza y deja su mensaje como "última acción"
+function record(sim, event) {
+  const trace = [...sim.trace, event].slice(-TRACE_LIMIT);
+  return { ...sim, lastAction: event.msg, trace };
+}
+
+// Nota de la UI en la traza (mensajes, pausas, errores de ensamblado, ...)
+function log(sim, message, ts) {
+  if (!message) return { ...sim, lastAction: null };
+  return record(sim, noteEvent(message, ts));
+}
+
+// Registros/fase/salida a cero conservando la memoria (y sus etiquetas de código/datos)
+function resetCpu(cpu) {
+  return { ...createCpuState(cpu.memory), tags: cpu.tags };
+}
+
+// Un paso de la CPU con su instantánea y su evento de traza
+function stepSim(sim, ts, result = stepRTL(sim.cpu)) {
+  const { state, lastAction } = result;
+  // Nada cambió (IN sigue esperando): sin instantánea ni evento de traza
+  if (state === sim.cpu) return { ...stopRun(sim), lastAction };
+  const next = record(pushSnapshot(sim, state), traceEvent(sim.cpu, state, lastAction, ts));
+  return state.halted ? stopRun(next) : next;
+}
+
+// Fase confirmada + pausas de la ejecución automática (breakpoints, IN)
+function commitStep(sim, ts, result) {
+  const next = stepSim(sim, ts, result);
+  if (!next.running || next.cpu === sim.cpu) return next;
+  if (next.cpu.waitingInput) return log(stopRun(next), msg("sim.waitInput"), ts);
+  const reason = breakReason(sim.cpu, next.cpu, sim.debug);
+  return reason ? log(stopRun(next), msg("sim.paused", { reason }), ts) : next;
+}
+
+// Modo detallado: avanza una microoperación; al llegar a la última confirma la fase.
+// Un "pending" calculado desde otra CPU (reset, edición, paso atrás) se descarta.
+function microStep(sim, ts) {
+  const p = sim.rtl.pending;
+  if (p && p.from === sim.cpu && p.index < p.result.micro.length - 1) {
+    const rtl = { ...sim.rtl, pending: { ...p, index: p.index + 1 } };
+    const next = { ...sim, rtl };
+    return p.index + 1 === p.result.micro.length - 1 ? commitStep(next, ts, p.result) : next;
+  }
+  const result = stepRTL(sim.cpu);
+  const next = { ...sim, rtl: { ...sim.rtl, pending: { from: sim.cpu, result, index: 0 } } };
+  return result.micro.length <= 1 ? commitStep(next, ts, result) : next;
+}
+
+/* Microoperación activa para la vista RTL: { micro, index } o null */
+export function activeMicro(sim) {
+  const p = sim.rtl?.pending;
+  if (!p) return null;
+  const showing = p.result.state === sim.cpu || (p.from === sim.cpu && p.index < p.result.micro.length - 1);
+  if (!showing) return null;
+  return { micro: p.result.micro, index: p.index };
+}
+
+// Detiene la ejecución automática (y olvida el "hasta cursor" pendiente)
+function stopRun(sim) {
+  return { ...sim, running: false, debug: { ...sim.debug, runTo: null } };
+}
+
+/* La celda del vector de interrupción depende del tamaño: la dirección de la
+   rutina (lo que dejó .vector) se copia a la celda nueva si está libre; si
+   está ocupada no se pisa y se avisa que hay que volver a ensamblar.
+   Devuelve { memory, tags, message } */
+function moveVector(cpu, memory, size) {
+  const from = interruptVector(cpu.memory.length);
+  const to = interruptVector(size);
+  const isr = cpu.memory[from];
+  if (from === to || isr === "" || isr == null) return { memory, tags: cpu.tags, message: null };
+  if (memory[to] !== "" && memory[to] !== isr) return { memory, tags: cpu.tags, message: msg("sim.vectorStale", { from, to }) };
+  const moved = memory.slice();
+  moved[to] = isr;
+  return { memory: moved, tags: { ...cpu.tags, [to]: "data" }, message: msg("sim.vectorMoved", { from, to, isr }) };
+}
+
+export function simReducer(sim, action) {
+  switch (action.type) {
+    // Avanza una fase del ciclo: Idle/Execute → Fetch → Decode → Execute
+    // En ejecución automática pausa ante breakpoints/watchpoints
+    // En modo detallado avanza una microoperación (ver microStep)
+    case "STEP": {
+      if (sim.cpu.halted) return stopRun(sim);
+      if (sim.rtl.enabled) return microStep(sim, action.ts);
+      return commitStep(sim, action.ts, stepRTL(sim.cpu));
+    }
+
+    // Completa la instrucción actual (hasta terminar su Execute); la entrada
+    // a una interrupción cuenta como un paso propio
+    case "STEP_INSTRUCTION": {
+      if (sim.cpu.halted) return sim;
+      let next = sim;
+      do {
+        next = stepSim(next, action.ts);
+      } while (!next.cpu.halted && !next.cpu.waitingInput && next.cpu.phase !== "Execute" && next.cpu.phase !== "Interrupt");
+      return next;
+    }
+
+    // Vuelve a la instantánea anterior
+    case "STEP_BACK": {
+      if (sim.cursor === 0) return sim;
+      const cursor = sim.cursor - 1;
+      return log({ ...stopRun(sim), cpu: sim.timeline[cursor], cursor }, msg("sim.back", { cycle: cursor }), action.ts);
+    }
+
+    // Salta a cualquier instantánea guardada (barra de tiempo)
+    case "SEEK": {
+      const cursor = Math.max(0, Math.min(action.index, sim.timeline.length - 1));
+      if (cursor === sim.cursor) return sim;
+      return log({ ...stopRun(sim), cpu: sim.timeline[cursor], cursor }, msg("sim.seek", { cycle: cursor }), action.ts);
+    }
+
+    case "SET_RUNNING":
+      if (sim.cpu.halted || !action.running) return stopRun(sim);
+      return { ...sim, running: true };
+
+    // Ejecuta automáticamente hasta que PC llegue a "addr" (o a un breakpoint)
+    case "RUN_TO":
+      if (sim.cpu.halted) return sim;
+      return { ...sim, running: true, debug: { ...sim.debug, runTo: action.addr } };
+
+    case "TOGGLE_BREAKPOINT":
+      return { ...sim, debug: { ...sim.debug, breakpoints: toggleIn(sim.debug.breakpoints, action.addr) } };
+
+    case "TOGGLE_WATCH":
+      return { ...sim, debug: { ...sim.debug, watchAddrs: toggleIn(sim.debug.watchAddrs, action.addr) } };
+
+    // Condición sobre ACC ({ cond, value }) o null para desactivarla
+    case "SET_ACC_WATCH":
+      return { ...sim, debug: { ...sim.debug, accWatch: action.watch } };
+
+    // Resetea registros/fase/salida y consola (no borra memoria)
+    case "RESET":
+      return restart(sim, resetCpu(sim.cpu));
+
+    // Reemplaza la memoria completa y resetea la CPU
+    // (tags: etiquetas de código/datos del ensamblador; sin ellas todo es "desconocido")
+    case "LOAD_MEMORY":
+      return log(restart(sim, { ...createCpuState(action.memory), tags: action.tags ?? {} }), action.message, action.ts);
+
+    // Proyecto importado/restaurado: memoria, cola de entrada, ancho de palabra, caché,
+    // temporizador y dispositivos
+    case "LOAD_PROJECT": {
+      const { project } = action;
+      const next = {
+        ...sim, inputs: project.inputs, wordBits: project.wordBits, cacheConfig: project.cache, timerPeriod: project.timer,
+        deviceConfig: project.devices,
+      };
+      return log(restart(next, createCpuState(project.memory)), action.message, action.ts);
+    }
+
+    // Cambia el tamaño de la memoria sin borrar el programa cargado
+    // (las instantáneas previas tenían otro tamaño: la línea de tiempo empieza de nuevo)
+    case "RESIZE_MEMORY": {
+      const size = action.size;
+      // La pila (vacía o con datos) se reubica al final de la nueva memoria
+      const { memory, sp, depth, dropped } = resizeWithStack(sim.cpu.memory, sim.cpu.sp, size);
+      // El vector de interrupción acompaña al final de la memoria (ver moveVector)
+      const vector = moveVector(sim.cpu, memory, size);
+      // Los dispositivos que ya no entran debajo del vector se descartan
+      const deviceConfig = normalizeDevices(sim.deviceConfig, interruptVector(size));
+      const cpu = {
+        ...sim.cpu, memory: vector.memory, tags: vector.tags, sp, pc: clamp(sim.cpu.pc, 0, size - 1),
+        cache: createCache(sim.cacheConfig), io: createIo(deviceConfig),
+      };
+      const keep = (list) => list.filter((a) => a < size);
+      const debug = {
+        ...sim.debug,
+        breakpoints: keep(sim.debug.breakpoints),
+        watchAddrs: keep(sim.debug.watchAddrs),
+        runTo: null,
+      };
+      let message = msg("sim.memSize", { size });
+      if (dropped) message = msg("sim.memStackReset", { size, depth });
+      else if (depth) message = msg("sim.memStack", { size, depth, sp });
+      const next = log({ ...sim, cpu, debug, deviceConfig, running: false, timeline: [cpu], cursor: 0 }, message, action.ts);
+      return vector.message ? log(next, vector.message, action.ts) : next;
+    }
+
+    // Edición manual de una celda desde la grilla
+    case "EDIT_CELL": {
+      const memory = sim.cpu.memory.slice();
+      memory[action.addr] = action.value;
+      return replaceSnapshot(sim, { ...sim.cpu, memory });
+    }
+
+    // Agrega valores a la cola de entrada (configurada y en curso)
+    case "ADD_INPUTS": {
+      const cpu = { ...sim.cpu, inputs: [...sim.cpu.inputs, ...action.values], waitingInput: false };
+      return replaceSnapshot({ ...sim, inputs: [...sim.inputs, ...action.values] }, cpu);
+    }
+
+    case "CLEAR_INPUTS":
+      return replaceSnapshot({ ...sim, inputs: [] }, { ...sim.cpu, inputs: [] });
+
+    // Qué hace IN con la cola vacía: "pause" | "fault"
+    case "SET_INPUT_POLICY":
+      return replaceSnapshot({ ...sim, inputPolicy: action.policy }, { ...sim.cpu, inputPolicy: action.policy });
+
+    // Modo estricto: escribir sobre código o ejecutar datos detiene la CPU
+    case "SET_STRICT_TAGS":
+      return replaceSnapshot({ ...sim, strictTags: action.strict }, { ...sim.cpu, strictTags: action.strict });
+
+    // Ancho de palabra: el ACC actual se ajusta al nuevo rango
+    case "SET_WORD_BITS": {
+      const r = aluLoad(sim.cpu.acc, action.bits, sim.cpu.flags);
+      const cpu = { ...sim.cpu, wordBits: action.bits, acc: r.value, flags: r.flags };
+      return log(replaceSnapshot({ ...sim, wordBits: action.bits }, cpu), msg("sim.wordBits", { bits: action.bits }), action.ts);
+    }
+
+    // Configuración de la caché: se aplica con la caché vacía (sin tocar registros ni memoria)
+    case "SET_CACHE": {
+      const cacheConfig = normalizeCacheConfig(action.config);
+      const cpu = { ...sim.cpu, cache: createCache(cacheConfig) };
+      const mapping = cacheConfig.ways === 1 ? msg("cache.direct") : msg("cache.ways", { n: cacheConfig.ways });
+      const message = cacheConfig.enabled ? msg("sim.cache", { ...cacheConfig, mapping }) : msg("sim.cacheOff");
+      return log(replaceSnapshot({ ...sim, cacheConfig }, cpu), message, action.ts);
+    }
+
+    // Pedido de interrupción externa (botón): se atiende tras el próximo Execute con IE = 1
+    case "RAISE_IRQ": {
+      if (sim.cpu.halted) return sim;
+      const cpu = raiseInterrupt(sim.cpu, "external");
+      if (cpu === sim.cpu) return log(sim, msg("sim.irqBusy", { source: msg(`irq.${sim.cpu.irq}`) }), action.ts);
+      return log(replaceSnapshot(sim, cpu), cpu.ie ? msg("sim.irq") : msg("sim.irqMasked"), action.ts);
+    }
+
+    // Período del temporizador: se programa de nuevo (la cuenta arranca en el período)
+    case "SET_TIMER": {
+      const timerPeriod = normalizeTimerPeriod(action.period);
+      const cpu = { ...sim.cpu, timer: createTimer(timerPeriod) };
+      const message = timerPeriod ? msg("sim.timer", { period: timerPeriod }) : msg("sim.timerOff");
+      return log(replaceSnapshot({ ...sim, timerPeriod }, cpu), message, action.ts);
+    }
+
+    // Dispositivos de E/S: se aplican con la pantalla y el teclado vacíos (sin tocar registros ni memoria)
+    case "SET_DEVICES": {
+      const deviceConfig = normalizeDevices(action.devices, interruptVector(sim.cpu.memory.length));
+      const cpu = { ...sim.cpu, io: createIo(deviceConfig) };
+      const message = deviceConfig.length ? msg("sim.devices", { n: deviceConfig.length }) : msg("sim.devicesOff");
+      return log(replaceSnapshot({ ...sim, deviceConfig }, cpu), message, action.ts);
+    }
+
+    // Teclas para la terminal (texto; Enter agrega un salto de línea)
+    case "TYPE_KEYS": {
+      const { io } = sim.cpu;
+      if (!io?.devices.some((d) => d.type === "terminal") || !action.text) return sim;
+      const cpu = { ...sim.cpu, io: typeKeys(io, action.text) };
+      return log(replaceSnapshot(sim, cpu), msg("sim.keys", { n: cpu.io.keys.length }), action.ts);
+    }
+
+    // Mensaje informativo de la UI (plantillas, errores de ensamblado, ...)
+    case "LOG":
+      return log(sim, action.message, action.ts);
+
+    // Activa/desactiva el modo detallado (MAR, MDR, buses y microoperaciones)
+    case "SET_RTL":
+      return { ...sim, rtl: { enabled: action.enabled, pending: null } };
+
+    case "CLEAR_TRACE":
+      return { ...sim, trace: [] };
+
+    default:
+      return sim;
+  }
+}
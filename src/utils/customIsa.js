@@ -0,0 +1,43 @@
+/* =========================================================
+   Instrucciones propias del curso
+   La página y la CLI importan este archivo al arrancar: lo que se
+   registre acá queda disponible en el editor, el ensamblador, la
+   ejecución (step), la grilla y el panel "Juego de instrucciones".
+   - opcode libre entre 34 y 63 (1..33 son las instrucciones base)
+   - execute(ctx) arma el estado siguiente con ctx.done(cambios, mensaje);
+     el mensaje es un texto por idioma ({ es, en }) o msg(clave, params)
+   - Las microoperaciones salen solas de memory / stack / flow, y los
+     riesgos del pipeline, de uses / sets (registros que lee / escribe) y
+     de unconditional (un salto que siempre se toma cuesta una burbuja)
+   Ejemplo (descomentar para probar):
+   ========================================================= */
+
+// import { registerInstruction } from "./isa.js";
+//
+// // ACC ← ACC + ACC (pasa por la ALU: actualiza banderas)
+// registerInstruction({
+//   mnemonic: "DBL",
+//   opcode: 34,
+//   operand: "none",
+//   uses: ["ACC"],
+//   sets: ["ACC", "FLAGS"],
+//   description: { es: "ACC ← ACC × 2", en: "ACC ← ACC × 2" },
+//   execute: ({ acc, alu, done, nextPC }) => {
+//     const r = alu("ADD", acc);
+//     return done({ ...r, pc: nextPC() }, { es: `DBL → ACC=${r.acc}`, en: `DBL → ACC=${r.acc}` });
+//   },
+// });
+//
+// // M[dir] ← 0 (declara la escritura: la grilla y las estadísticas la ven)
+// registerInstruction({
+//   mnemonic: "CLR",
+//   opcode: 35,
+//   operand: "address",
+//   memory: "write",
+//   description: { es: "M[dir] ← 0", en: "M[addr] ← 0" },
+//   execute: ({ arg, memory, done, nextPC }) => {
+//     const m = memory.slice();
+//     m[arg] = 0;
+//     return done({ memory: m, pc: nextPC() }, { es: `CLR → M[${arg}]=0`, en: `CLR → M[${arg}]=0` });
+//   },
+// });
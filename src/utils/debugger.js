@@ -0,0 +1,72 @@
+import { parseInstr, targetAddressFromIR } from "./cpuHelpers.js";
+import { msg } from "./i18n.js";
+import { ISA } from "./isa.js";
+
+/* =========================================================
+   Depuración: breakpoints, watchpoints y "ejecutar hasta cursor"
+   Funciones puras: comparan el estado antes/después de un step()
+   y devuelven el motivo de pausa (mensaje, ver i18n.js) o null.
+   ========================================================= */
+
+export const ACC_CONDITIONS = ["==", "!=", "<", ">", "<=", ">="];
+
+export function createDebugState() {
+  return {
+    breakpoints: [], // direcciones donde se pausa antes del Fetch
+    watchAddrs: [],  // direcciones vigiladas ante escrituras
+    accWatch: null,  // { cond: "==", value: 0 } → pausa cuando ACC pasa a cumplirla
+    runTo: null,     // dirección temporal de "ejecutar hasta cursor"
+  };
+}
+
+// Agrega o quita un número de una lista (sin mutarla)
+export function toggleIn(list, n) {
+  return list.includes(n) ? list.filter((x) => x !== n) : [...list, n].sort((a, b) => a - b);
+}
+
+export function checkAccCondition(acc, { cond, value }) {
+  switch (cond) {
+    case "==": return acc === value;
+    case "!=": return acc !== value;
+    case "<": return acc < value;
+    case ">": return acc > value;
+    case "<=": return acc <= value;
+    case ">=": return acc >= value;
+    default: return false;
+  }
+}
+
+// Direcciones escritas por el paso prev → next
+function writtenAddrs(prev, next) {
+  if (prev.memory === next.memory) return [];
+  const addrs = new Set();
+  next.memory.forEach((v, i) => { if (v !== prev.memory[i]) addrs.add(i); });
+  // STORE (o cualquier escritura declarada) del mismo valor que ya había: igual cuenta,
+  // pero solo en el paso que la ejecuta (no al entrar a una interrupción, por ejemplo)
+  const executed = prev.phase === "Decode" && next.phase === "Execute" && !next.fault;
+  if (executed && ISA[parseInstr(prev.ir).op]?.memory === "write") addrs.add(targetAddressFromIR(prev.ir, prev.memory.length, prev));
+  return [...addrs];
+}
+
+/* Motivo para pausar la ejecución automática tras el paso prev → next.
+   Los breakpoints y "hasta cursor" se evalúan entre instrucciones
+   (la siguiente fase sería Fetch de next.pc). */
+export function breakReason(prev, next, debug) {
+  const betweenInstr = next.phase === "Execute" || next.phase === "Idle" || next.phase === "Interrupt";
+
+  if (betweenInstr && !next.halted) {
+    if (debug.runTo === next.pc) return msg("debug.runTo", { addr: next.pc });
+    if (debug.breakpoints.includes(next.pc)) return msg("debug.breakpoint", { addr: next.pc });
+  }
+
+  const hit = writtenAddrs(prev, next).find((a) => debug.watchAddrs.includes(a));
+  if (hit !== undefined) return msg("debug.watchWrite", { addr: hit, value: next.memory[hit] });
+
+  if (debug.accWatch && next.phase === "Execute") {
+    const before = checkAccCondition(prev.acc, debug.accWatch);
+    const after = checkAccCondition(next.acc, debug.accWatch);
+    if (after && !before) return msg("debug.watchAcc", { cond: debug.accWatch.cond, value: debug.accWatch.value, acc: next.acc });
+  }
+
+  return null;
+}
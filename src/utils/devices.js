@@ -0,0 +1,105 @@
+import { msg } from "./i18n.js";
+
+/* =========================================================
+   Dispositivos de E/S mapeados en memoria
+   Cada dispositivo ocupa un rango reservado de la memoria unificada; los
+   accesos a datos a esas direcciones (STORE, LOADI, ...) lo manejan:
+   - leds: 1 celda; cada bit del valor escrito enciende un LED
+   - sevenSeg: 1 celda; muestra el valor escrito en decimal
+   - terminal: 2 celdas
+       base     → STORE: escribe un carácter (código ASCII; 10 = salto de línea,
+                  8 = borra el último) · LOADI: toma la próxima tecla (0 = no hay)
+       base + 1 → LOADI: teclas pendientes · STORE: borra la pantalla
+   LEDs y display se dibujan desde su celda (lo último escrito queda en
+   memoria); la terminal guarda su pantalla y su búfer de teclado.
+   Viajan dentro del estado de la CPU (state.io, null = sin dispositivos):
+     { devices: [{ type, base }], screen, keys: [códigos] }
+   La configuración ([{ type, base }]) se guarda con el proyecto. Los rangos
+   quedan por debajo de "limit" (el vector de interrupción y la pila).
+   ========================================================= */
+
+export const DEVICE_TYPES = ["leds", "sevenSeg", "terminal"];
+export const DEVICE_SIZES = { leds: 1, sevenSeg: 1, terminal: 2 };
+const SCREEN_LIMIT = 1000; // Caracteres que conserva la pantalla
+
+// Celdas [from, to] de un dispositivo
+export const deviceRange = ({ type, base }) => ({ from: base, to: base + DEVICE_SIZES[type] - 1 });
+
+// Dirección sugerida: uno detrás de otro justo debajo de "limit" (la terminal arriba)
+export function defaultDeviceBase(type, limit) {
+  let base = limit;
+  for (const t of [...DEVICE_TYPES].reverse()) {
+    base -= DEVICE_SIZES[t];
+    if (t === type) return base;
+  }
+  return null;
+}
+
+/* Configuración válida (leída de JSON o de la interfaz): un dispositivo por tipo,
+   dentro de [0, limit) y sin rangos superpuestos (lo inválido se descarta) */
+export function normalizeDevices(list, limit) {
+  const devices = [];
+  DEVICE_TYPES.forEach((type) => {
+    const d = (Array.isArray(list) ? list : []).find((x) => x?.type === type);
+    if (!d || !Number.isInteger(d.base) || d.base < 0) return;
+    const r = deviceRange(d);
+    if (r.to >= limit) return;
+    if (devices.some((o) => { const q = deviceRange(o); return r.from <= q.to && q.from <= r.to; })) return;
+    devices.push({ type, base: d.base });
+  });
+  return devices;
+}
+
+// Estado inicial (pantalla y teclado vacíos); null si no hay dispositivos
+export function createIo(devices) {
+  return devices?.length ? { devices, screen: "", keys: [] } : null;
+}
+
+// Dispositivo que atiende la dirección: { device, offset } o null
+export function deviceAt(io, addr) {
+  const device = io?.devices.find((d) => { const r = deviceRange(d); return addr >= r.from && addr <= r.to; });
+  return device ? { device, offset: addr - device.base } : null;
+}
+
+// Lectura desde un registro del dispositivo (null: se lee la celda de memoria)
+export function deviceRead(io, addr) {
+  const hit = deviceAt(io, addr);
+  if (hit?.device.type !== "terminal") return null;
+  return hit.offset === 0 ? io.keys[0] ?? 0 : io.keys.length;
+}
+
+/* Aplica los accesos de un paso ({ writes, data }, ver memoryAccesses):
+   leer la tecla como dato la saca del búfer (un puntero @n o la pila que
+   pasan por la celda no); escribir en la terminal imprime o borra.
+   after: memoria después del paso (valores escritos). */
+export function ioAccesses(io, access, after) {
+  let { screen } = io;
+  const key = access.data === null ? null : deviceAt(io, access.data);
+  const keys = key?.device.type === "terminal" && key.offset === 0 ? io.keys.slice(1) : io.keys;
+  access.writes.forEach((addr) => {
+    const hit = deviceAt(io, addr);
+    if (hit?.device.type !== "terminal") return;
+    const code = Number(after[addr]) || 0;
+    if (hit.offset === 1) screen = "";
+    else if (code === 8) screen = screen.slice(0, -1);
+    else if (code > 0) screen = (screen + String.fromCharCode(code)).slice(-SCREEN_LIMIT);
+  });
+  return screen === io.screen && keys === io.keys ? io : { ...io, screen, keys };
+}
+
+// Teclas nuevas en el búfer (texto → códigos)
+export function typeKeys(io, text) {
+  return { ...io, keys: [...io.keys, ...Array.from(text, (c) => c.charCodeAt(0))] };
+}
+
+// Accesos sin las direcciones de dispositivos (la E/S no pasa por la caché)
+export function withoutDevices(io, access) {
+  if (!io) return access;
+  const keep = (addr) => !deviceAt(io, addr);
+  return { fetch: access.fetch, reads: access.reads.filter(keep), writes: access.writes.filter(keep) };
+}
+
+// Rangos reservados para el ensamblador (el programa no debe invadirlos)
+export function reservedRanges(devices) {
+  return devices.map((d) => ({ ...deviceRange(d), name: msg(`dev.${d.type}`) }));
+}
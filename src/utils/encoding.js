@@ -0,0 +1,96 @@
+import {
+  ADDRESS_OPS,
+  decodeWord,
+  encodeInstr,
+  formatOperand,
+  instrText,
+  parseInstr,
+} from "./cpuHelpers.js";
+import { ISA } from "./isa.js";
+
+/* =========================================================
+   Vistas numéricas de la memoria y desensamblador
+   - Cada celda se puede ver como mnemónico, decimal, hex o binario
+   - disassemble() convierte cualquier imagen de memoria en texto
+     que el ensamblador vuelve a convertir en la misma imagen
+   ========================================================= */
+
+// Vistas de celda (label = clave del catálogo de i18n.js)
+export const CELL_VIEWS = [
+  { id: "mnemonic", label: "view.mnemonic" },
+  { id: "dec", label: "view.dec" },
+  { id: "hex", label: "view.hex" },
+  { id: "bin", label: "view.bin" },
+];
+
+// Valor numérico de una celda (texto de instrucción → su codificación)
+export function cellWord(cell) {
+  if (typeof cell === "number") return cell;
+  if (cell == null || String(cell).trim() === "") return null;
+  const n = Number(String(cell).trim());
+  if (Number.isFinite(n)) return n;
+  return encodeInstr(parseInstr(cell));
+}
+
+/* Texto de la celda según la vista. Las celdas vacías quedan vacías y
+   el texto que no se puede codificar se muestra tal cual. */
+export function formatCell(cell, view) {
+  if (cell == null || cell === "") return "";
+  if (view === "mnemonic") return instrText(cell);
+  const w = cellWord(cell);
+  if (w === null) return String(cell);
+  if (view === "dec" || w < 0 || !Number.isInteger(w)) return String(w);
+  if (view === "hex") return "0x" + w.toString(16).toUpperCase().padStart(4, "0");
+  // Binario agrupado como opcode | modo | operando
+  const b = w.toString(2).padStart(16, "0");
+  return `${b.slice(0, 6)} ${b.slice(6, 8)} ${b.slice(8)}`;
+}
+
+/* Texto escrito por el usuario en una celda → valor de memoria:
+   número (decimal, 0x.., 0b.., binario con espacios) o instrucción codificada;
+   si no es ninguna de las dos, queda como texto (la CPU la verá INVALID). */
+export function parseCellInput(text) {
+  const t = String(text).trim();
+  if (t === "") return "";
+  const compact = t.replace(/\s+/g, "");
+  if (/^[01]{16}$/.test(compact)) return parseInt(compact, 2);
+  const n = Number(t);
+  if (Number.isFinite(n)) return n;
+  const p = parseInstr(t);
+  if (p.op === "INVALID") return t;
+  return encodeInstr(p) ?? t;
+}
+
+/* Imagen de memoria → texto ensamblador.
+   - Destinos de salto/CALL directos reciben etiqueta "L<dir>"
+   - Datos (opcode 0) y celdas vacías se emiten como .word
+   - Se omiten las celdas vacías del final */
+export function disassemble(memory) {
+  let last = memory.length - 1;
+  while (last >= 0 && (memory[last] === "" || memory[last] == null)) last--;
+
+  const decoded = memory.slice(0, last + 1).map((cell) => {
+    const w = cellWord(cell);
+    return w === null ? { op: "DATA", args: [0] } : decodeWord(w);
+  });
+
+  // Destinos de salto/llamada (según la tabla del juego de instrucciones) → etiquetas
+  const isJump = (op) => Boolean(ISA[op]?.flow);
+  const labels = new Set();
+  decoded.forEach((p) => {
+    if (isJump(p.op) && p.mode === "direct" && p.args[0] <= last) labels.add(p.args[0]);
+  });
+
+  const lines = decoded.map((p, addr) => {
+    let body;
+    if (p.op === "DATA") body = `.word ${p.args[0]}`;
+    else if (p.op === "INVALID") body = `.word ${p.args[0]}`;
+    else if (isJump(p.op) && p.mode === "direct" && labels.has(p.args[0])) body = `${p.op} L${p.args[0]}`;
+    else if (ADDRESS_OPS.has(p.op)) body = `${p.op} ${formatOperand(p).replace(",IX", ", IX")}`;
+    else body = p.args.length ? `${p.op} ${p.args[0]}` : p.op;
+    const label = labels.has(addr) ? `L${addr}:` : "";
+    return `${label.padEnd(6)}${body.padEnd(16)}; [${addr}]`;
+  });
+
+  return lines.join("\n");
+}
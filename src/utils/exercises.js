@@ -0,0 +1,51 @@
+/* =========================================================
+   Ejercicios incluidos (formato en grader.js)
+   Los docentes pueden cargar otros desde un archivo .json
+   (título y enunciado pueden venir como texto o { es, en })
+   ========================================================= */
+
+export const EXERCISES = [
+  {
+    id: "suma-variables",
+    title: { es: "Suma de dos variables", en: "Sum of two variables" },
+    statement: {
+      es: "Calcula Z = X + Y, guarda el resultado en Z y muéstralo con OUT.",
+      en: "Compute Z = X + Y, store the result in Z and show it with OUT.",
+    },
+    starter: "// Z = X + Y\n  LOAD X\n  // completa aquí\n  HLT",
+    cases: [
+      { vars: { X: 2, Y: 3, Z: 0 }, expect: { outputs: [5], memory: { Z: 5 } } },
+      { vars: { X: -4, Y: 10, Z: 0 }, expect: { outputs: [6], memory: { Z: 6 } } },
+      { vars: { X: 0, Y: 0, Z: 0 }, expect: { outputs: [0], memory: { Z: 0 } } },
+    ],
+  },
+  {
+    id: "maximo-entradas",
+    title: { es: "Mayor de dos entradas", en: "Larger of two inputs" },
+    statement: {
+      es: "Lee dos números con IN y muestra el mayor con OUT.",
+      en: "Read two numbers with IN and show the larger one with OUT.",
+    },
+    starter: "  IN\n  STORE A\n  IN\n  // completa aquí\n  HLT\nA: .word 0",
+    cases: [
+      { inputs: [3, 8], expect: { outputs: [8] } },
+      { inputs: [9, 2], expect: { outputs: [9] } },
+      { inputs: [-5, -7], expect: { outputs: [-5] } },
+    ],
+  },
+  {
+    id: "suma-1-a-n",
+    title: { es: "Suma de 1 a N", en: "Sum from 1 to N" },
+    statement: {
+      es: "Lee N con IN (N ≥ 1) y muestra 1 + 2 + … + N con OUT.",
+      en: "Read N with IN (N ≥ 1) and show 1 + 2 + … + N with OUT.",
+    },
+    starter: "  IN\n  STORE N\n  // completa aquí\n  HLT\nN: .word 0\nS: .word 0",
+    memSize: 32,
+    cases: [
+      { inputs: [1], expect: { outputs: [1] } },
+      { inputs: [4], expect: { outputs: [10] } },
+      { inputs: [10], expect: { outputs: [55] } },
+    ],
+  },
+];
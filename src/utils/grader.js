@@ -0,0 +1,154 @@
+import { createCpuState, defaultMemSize, memSizeOptions, parseData } from "./cpuHelpers.js";
+import { WORD_SIZES, defaultWordBits } from "./alu.js";
+import { assemble } from "./assembler.js";
+import { runProgram } from "./runner.js";
+import { msg } from "./i18n.js";
+
+/* =========================================================
+   Ejercicios con casos de prueba y calificación automática
+   Formato de un ejercicio (JSON):
+     {
+       id, title, statement,          // enunciado (texto o { es, en } por idioma)
+       starter,                       // código inicial para el editor
+       memSize?, wordBits?, maxInstructions?,
+       cases: [{
+         name?,
+         vars?:   { X: 2 },           // variables de la tabla al ensamblar
+         inputs?: [1, 2],             // cola de entrada para IN
+         memory?: { "X": 5, "10": 3 },// celdas a escribir antes de ejecutar
+         expect: {
+           outputs?: [4],             // secuencia exacta de OUT (todas, sin tope)
+           memory?:  { "Z": 4 }       // contenido esperado al terminar
+         }
+       }]
+     }
+   En memory/expect.memory la clave es una dirección o el nombre de una
+   variable/etiqueta del programa del alumno.
+   Cada caso se ensambla y se ejecuta headless (runProgram → step()).
+   Errores y resultados son mensajes { code, params } (ver i18n.js).
+   ========================================================= */
+
+export const DEFAULT_CASE_BUDGET = 5000; // Instrucciones por caso (corta bucles infinitos)
+
+const isPlainObject = (x) => Boolean(x) && typeof x === "object" && !Array.isArray(x);
+
+/* Valida un ejercicio (texto JSON u objeto).
+   Devuelve { ok: true, exercise } o { ok: false, error } */
+export function parseExercise(data) {
+  let obj = data;
+  if (typeof data === "string") {
+    try {
+      obj = JSON.parse(data);
+    } catch {
+      return { ok: false, error: msg("exercise.notJson") };
+    }
+  }
+  if (!obj || typeof obj !== "object") return { ok: false, error: msg("exercise.notObject") };
+  if (!Array.isArray(obj.cases) || obj.cases.length === 0) return { ok: false, error: msg("exercise.noCases") };
+  const memSize = obj.memSize ?? defaultMemSize;
+  if (!memSizeOptions.includes(memSize)) return { ok: false, error: msg("project.badMemSize", { memSize }) };
+  // Sin un presupuesto válido un bucle infinito no terminaría nunca
+  const maxInstructions = obj.maxInstructions ?? DEFAULT_CASE_BUDGET;
+  if (!Number.isInteger(maxInstructions) || maxInstructions <= 0) {
+    return { ok: false, error: msg("exercise.badBudget", { value: String(obj.maxInstructions) }) };
+  }
+
+  for (const [i, c] of obj.cases.entries()) {
+    if (!c?.expect || (c.expect.outputs === undefined && c.expect.memory === undefined)) {
+      return { ok: false, error: msg("exercise.noExpect", { n: i + 1 }) };
+    }
+    if (c.expect.outputs !== undefined && !Array.isArray(c.expect.outputs)) {
+      return { ok: false, error: msg("exercise.outputsArray", { n: i + 1 }) };
+    }
+    if (c.inputs !== undefined && !(Array.isArray(c.inputs) && c.inputs.every(Number.isFinite))) {
+      return { ok: false, error: msg("exercise.inputsArray", { n: i + 1 }) };
+    }
+    const notObject = ["vars", "memory"].find((key) => c[key] !== undefined && !isPlainObject(c[key]));
+    if (notObject) return { ok: false, error: msg("exercise.caseObject", { n: i + 1, key: notObject }) };
+    if (c.expect.memory !== undefined && !isPlainObject(c.expect.memory)) {
+      return { ok: false, error: msg("exercise.caseObject", { n: i + 1, key: "expect.memory" }) };
+    }
+  }
+
+  return {
+    ok: true,
+    exercise: {
+      id: obj.id ?? "ejercicio",
+      title: obj.title ?? msg("exercise.untitled"),
+      statement: obj.statement ?? "",
+      starter: obj.starter ?? "",
+      memSize,
+      wordBits: WORD_SIZES.includes(obj.wordBits) ? obj.wordBits : defaultWordBits,
+      maxInstructions,
+      cases: obj.cases.map((c, i) => ({
+        name: c.name ?? msg("grade.case", { n: i + 1 }),
+        vars: c.vars ?? {},
+        inputs: c.inputs ?? [],
+        memory: c.memory ?? {},
+        expect: c.expect,
+      })),
+    },
+  };
+}
+
+// Clave de celda ("12", "0x0C" o nombre de símbolo) → dirección, o null
+function resolveCell(key, symbols, memSize) {
+  const n = Number(key);
+  if (Number.isInteger(n)) return n >= 0 && n < memSize ? n : null;
+  const sym = symbols[String(key).toUpperCase()];
+  return sym && sym.kind !== "const" ? sym.addr : null;
+}
+
+/* Diferencia posición por posición entre la salida esperada y la real:
+   [{ index, expected, actual, pass }] (undefined = valor faltante) */
+export function diffOutputs(expected, actual) {
+  const len = Math.max(expected.length, actual.length);
+  return Array.from({ length: len }, (_, index) => ({
+    index,
+    expected: expected[index],
+    actual: actual[index],
+    pass: expected[index] === actual[index],
+  }));
+}
+
+/* Ejecuta un caso: { name, pass, status, message, outputs, memory, instructions } */
+function runCase(source, exercise, c) {
+  const { memSize, wordBits, maxInstructions } = exercise;
+  const asm = assemble(source, { memSize, vars: c.vars });
+  if (!asm.ok) {
+    return { name: c.name, pass: false, status: "asm", message: msg("grade.asm"), errors: asm.errors, outputs: [], memory: [] };
+  }
+
+  const memory = asm.memory.slice();
+  for (const [key, value] of Object.entries(c.memory)) {
+    const addr = resolveCell(key, asm.symbols, memSize);
+    if (addr === null) {
+      return { name: c.name, pass: false, status: "setup", message: msg("grade.unknownCell", { key }), outputs: [], memory: [] };
+    }
+    memory[addr] = value;
+  }
+
+  const cpu = { ...createCpuState(memory), inputs: c.inputs, inputPolicy: "fault", wordBits };
+  const { state, status, instructions } = runProgram(cpu, { maxInstructions });
+
+  const outputs = c.expect.outputs ? diffOutputs(c.expect.outputs, state.outputs) : [];
+  const cells = Object.entries(c.expect.memory ?? {}).map(([key, expected]) => {
+    const addr = resolveCell(key, asm.symbols, memSize);
+    const actual = addr === null ? undefined : parseData(state.memory[addr]);
+    return { key, addr, expected, actual, pass: actual === expected };
+  });
+
+  const halted = status === "halted";
+  const pass = halted && outputs.every((o) => o.pass) && cells.every((m) => m.pass);
+  const message = halted
+    ? msg(pass ? "grade.pass" : "grade.mismatch")
+    : msg(state.fault ? "grade.endedFault" : "grade.ended", { status: msg(`grade.status.${status}`), fault: state.fault });
+  return { name: c.name, pass, status, message, outputs, memory: cells, instructions };
+}
+
+/* Califica el programa del alumno contra todos los casos.
+   Devuelve { cases, passed, total } */
+export function gradeProgram(source, exercise) {
+  const cases = exercise.cases.map((c) => runCase(source, exercise, c));
+  return { cases, passed: cases.filter((r) => r.pass).length, total: cases.length };
+}
@@ -0,0 +1,46 @@
+/* =========================================================
+   Modo Harvard (comparación con Von Neumann)
+   Mismo núcleo step() y misma memoria; cambia cómo se la mira y se la cuenta:
+   - Memoria de instrucciones = celdas [0, split) (el programa ensamblado,
+     según las etiquetas de código); memoria de datos = [split, tamaño)
+     (variables, .word y pila). Cada una con su grilla y sus contadores
+   - Dos buses: el Fetch de la instrucción siguiente puede ir en el mismo
+     ciclo que el acceso a datos del Execute actual (solapamiento). En Von
+     Neumann el bus es uno solo y esos accesos van en ciclos distintos
+   Ciclos Harvard = ciclos (fases) − solapamientos (stats.overlaps)
+   ========================================================= */
+
+export const ARCHITECTURES = ["vonNeumann", "harvard"];
+export const DEFAULT_ARCH = "vonNeumann";
+
+/* ¿El Fetch siguiente se puede solapar con este paso prev → next?
+   Solo al completar una instrucción que accedió a datos y que no cambia
+   el flujo: la dirección del Fetch (PC + 1) ya se conoce en el Execute.
+   Saltos, CALL/RET y HLT esperan a que se resuelva el PC. */
+export function fetchOverlaps(prev, next, access) {
+  if (prev.phase !== "Decode" || next.phase !== "Execute") return false;
+  if (next.halted || next.fault || next.waitingInput) return false;
+  if (!access.reads.length && !access.writes.length) return false;
+  return next.pc === prev.pc + 1;
+}
+
+/* Frontera entre las dos memorias: la celda siguiente a la última de código
+   (sin etiquetas de código, la mitad de la memoria) */
+export function harvardSplit(tags = {}, size) {
+  const code = Object.keys(tags).filter((a) => tags[a] === "code").map(Number);
+  if (code.length === 0) return Math.floor(size / 2);
+  return Math.min(size, Math.max(...code) + 1);
+}
+
+// Suma de un mapa { dirección: veces } dentro de [from, to)
+const countIn = (map = {}, from, to) =>
+  Object.entries(map).reduce((n, [a, v]) => (Number(a) >= from && Number(a) < to ? n + v : n), 0);
+
+/* Contadores de cada memoria a partir del mapa de accesos de las estadísticas:
+   { instr: { reads, writes }, data: { reads, writes } } */
+export function bankCounters(stats, split, size) {
+  return {
+    instr: { reads: countIn(stats?.reads, 0, split), writes: countIn(stats?.writes, 0, split) },
+    data: { reads: countIn(stats?.reads, split, size), writes: countIn(stats?.writes, split, size) },
+  };
+}
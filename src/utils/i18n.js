@@ -0,0 +1,75 @@
+import { es } from "./locales/es.js";
+import { en } from "./locales/en.js";
+
+/* =========================================================
+   Idiomas de la interfaz y de los mensajes
+   - Catálogos por idioma (locales/*.js): clave → texto con "{param}"
+     o función (params) → texto
+   - Mensaje = { code, params?, alerts? }: lo que emiten step(), el reducer,
+     el ensamblador y el calificador. Se guarda así en la traza (neutral) y
+     se traduce recién al mostrarlo
+   - Los parámetros pueden ser a su vez mensajes, o textos por idioma
+     ({ es, en }, p. ej. títulos de ejercicios)
+   ========================================================= */
+
+export const DEFAULT_LANG = "es";
+export const LANGUAGES = [
+  { id: "es", label: "Español" },
+  { id: "en", label: "English" },
+];
+export const LANG_KEY = "vnsim:lang";
+const CATALOGS = { es, en };
+
+// Mensaje estructurado (params omitido si no hay)
+export const msg = (code, params) => (params === undefined ? { code } : { code, params });
+
+// Texto por idioma ({ es, en }) → el del idioma pedido, o el primero que haya
+export function localize(lang, value) {
+  if (!value || typeof value !== "object") return value;
+  return value[lang] ?? value[DEFAULT_LANG] ?? Object.values(value)[0];
+}
+
+function renderParam(lang, value) {
+  if (value && typeof value === "object") return translate(lang, value);
+  return value;
+}
+
+/* Texto de una clave o mensaje en "lang".
+   Lo que no está en el catálogo (un nombre, notación RTL) se devuelve tal cual. */
+export function translate(lang, message, params) {
+  if (message == null) return "";
+  if (typeof message === "object") {
+    if (message.code === undefined) return String(localize(lang, message) ?? "");
+    const text = translate(lang, message.code, message.params);
+    if (!message.alerts?.length) return text;
+    return `${text} ⚠ ${message.alerts.map((a) => translate(lang, `alert.${a.kind}`, a)).join(" · ")}`;
+  }
+  const entry = CATALOGS[lang]?.[message] ?? CATALOGS[DEFAULT_LANG][message];
+  if (entry === undefined) return String(message);
+  const values = Object.fromEntries(Object.entries(params ?? {}).map(([k, v]) => [k, renderParam(lang, v)]));
+  if (typeof entry === "function") return entry(values);
+  return entry.replace(/\{(\w+)\}/g, (m, k) => (values[k] !== undefined ? String(values[k]) : m));
+}
+
+// t(clave | mensaje, params) ligado a un idioma (lo que reciben los componentes)
+export const makeT = (lang) => (message, params) => translate(lang, message, params);
+
+// ==== Idioma elegido (localStorage; si no hay, el del navegador) ====
+export function loadLang(storage = globalThis.localStorage) {
+  try {
+    const saved = storage?.getItem(LANG_KEY);
+    if (CATALOGS[saved]) return saved;
+  } catch {
+    // Almacenamiento bloqueado: se usa el del navegador
+  }
+  const nav = globalThis.navigator?.language?.slice(0, 2);
+  return CATALOGS[nav] ? nav : DEFAULT_LANG;
+}
+
+export function saveLang(lang, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(LANG_KEY, lang);
+  } catch {
+    // Sin almacenamiento: el idioma dura solo esta sesión
+  }
+}
@@ -0,0 +1,51 @@
+/* =========================================================
+   Interrupciones
+   Viajan dentro del estado de la CPU (se reinician con ella):
+   - ie: habilitación (EI / DI); se apaga al entrar y IRET la vuelve a encender
+   - irq: pedido pendiente (null | "external" | "timer"); uno solo a la vez,
+     queda esperando mientras IE = 0
+   - timer: { period, count } temporizador programable (period 0 = apagado).
+     Cuenta instrucciones completadas; al llegar a 0 pide una interrupción
+     y se recarga. Lo programa TMR n o la interfaz (período inicial)
+   El pedido se atiende entre Execute y Fetch (ver step en cpuHelpers): en
+   lugar del Fetch hay una fase "Interrupt" que apila PC, las banderas y ACC
+   (IRQ_FRAME), apaga IE y carga PC ← M[vector] (interruptVector: la celda
+   justo debajo de la pila). IRET desapila ACC, las banderas y PC y vuelve a
+   habilitar: el programa interrumpido sigue con sus registros intactos.
+   ========================================================= */
+
+export const IRQ_SOURCES = ["external", "timer"];
+export const IRQ_FRAME = ["PC", "FLAGS", "ACC"]; // Orden en que se apilan (ACC queda en el tope)
+// El mayor período que puede programar TMR: su operando es inmediato con signo
+// (IMMEDIATE_RANGE en cpuHelpers, -128..127; no se importa para no formar un ciclo)
+export const TIMER_MAX = 127;
+
+// Período válido (entero 0..TIMER_MAX; lo inválido apaga el temporizador)
+export function normalizeTimerPeriod(period) {
+  const n = Math.trunc(Number(period));
+  return Number.isFinite(n) ? Math.max(0, Math.min(TIMER_MAX, n)) : 0;
+}
+
+// Temporizador recién programado (la cuenta arranca en el período)
+export function createTimer(period = 0) {
+  const p = normalizeTimerPeriod(period);
+  return { period: p, count: p };
+}
+
+// Pide una interrupción (si ya hay una pendiente, se conserva la primera)
+export function raiseInterrupt(state, source) {
+  return state.irq ? state : { ...state, irq: source };
+}
+
+// ¿El próximo paso atiende la interrupción? (entre Execute y Fetch, con IE = 1)
+export function interruptPending(state) {
+  return Boolean(state.ie && state.irq) && !state.halted && state.phase === "Execute";
+}
+
+// Una instrucción completada: descuenta el temporizador y, al llegar a 0, pide la interrupción
+export function tickTimer(state) {
+  const { period = 0, count = 0 } = state.timer ?? {};
+  if (!period) return state;
+  if (count > 1) return { ...state, timer: { period, count: count - 1 } };
+  return raiseInterrupt({ ...state, timer: { period, count: period } }, "timer");
+}
@@ -0,0 +1,285 @@
+import { unpackFlags, wrap } from "./alu.js";
+import { msg } from "./i18n.js";
+import { IRQ_FRAME, createTimer } from "./interrupts.js";
+
+/* =========================================================
+   Juego de instrucciones (ISA) declarativo
+   Una entrada por mnemónico; de esta tabla salen el parser, la
+   codificación, el ensamblador, el resaltado de la grilla, la
+   ejecución (step) y el panel de ayuda:
+     {
+       mnemonic,                      // "LOAD"
+       opcode,                        // 1..63 (bits 15..10 de la palabra)
+       operand,                       // "none" | "immediate" | "address"
+       memory?,                       // "read" | "write": acceso a la dirección efectiva
+       stack?,                        // "push" | "pop": usa la pila
+       stackWords?,                   // Celdas que apila / desapila (1 por defecto)
+       flow?,                         // "jump" | "call": el operando es una dirección de código
+       unconditional?,                // Con flow: salta siempre (el pipeline conoce el destino en Decode)
+       uses?, sets?,                  // Registros que lee / escribe: "ACC", "IX", "FLAGS" (Z/N/C/V)
+                                      // (riesgos del pipeline)
+       description,                   // { es, en } (panel de ayuda)
+       execute(ctx) → { state, lastAction }
+     }
+   ctx (lo arma step() en Decode → Execute):
+     state, op, arg (inmediato o dirección efectiva), acc, ix, sp, flags, bits,
+     memory, read(dir) (celda o registro de un dispositivo de E/S), nextPC(), clampPC(dir), setAcc(valor), alu(op, b),
+     push(valor), pop(desde = sp), overflow, underflow,
+     done(cambios, mensaje) → fase Execute con los cambios aplicados
+   registerInstruction() agrega instrucciones propias (ver customIsa.js).
+   ========================================================= */
+
+export const ISA = {};
+export const OPCODES = { DATA: 0 }; // Opcode 0 = DATA (los números chicos son datos)
+const OP_BY_CODE = { 0: "DATA" };
+
+// Conjuntos derivados de la tabla (se actualizan al registrar instrucciones)
+export const NO_ARG_OPS = new Set();
+export const IMMEDIATE_OPS = new Set();
+export const ADDRESS_OPS = new Set();
+export const STACK_OPS = new Set();
+export const JUMP_OPS = new Set();
+
+export const OPERAND_KINDS = ["none", "immediate", "address"];
+const MNEMONIC_RE = /^[A-Z][A-Z0-9]*$/;
+
+export const opByCode = (code) => OP_BY_CODE[code];
+
+// Entradas en orden de opcode (panel de ayuda)
+export const instructionList = () => Object.values(ISA).sort((a, b) => a.opcode - b.opcode);
+
+/* Registra una instrucción. Lanza un Error si la definición no es válida
+   (mnemónico u opcode repetido, operando desconocido, sin execute). */
+export function registerInstruction(def) {
+  const {
+    mnemonic, opcode, operand = "none", memory, stack, stackWords, flow, unconditional = false, uses = [], sets = [], description = "", execute,
+  } = def ?? {};
+  if (!MNEMONIC_RE.test(mnemonic ?? "")) throw new Error(`Mnemónico inválido: ${mnemonic}`);
+  if (ISA[mnemonic] || mnemonic === "DATA" || mnemonic === "INVALID") throw new Error(`La instrucción ${mnemonic} ya existe`);
+  if (!Number.isInteger(opcode) || opcode < 1 || opcode > 63) throw new Error(`Opcode fuera de rango (1..63): ${opcode}`);
+  if (OP_BY_CODE[opcode]) throw new Error(`El opcode ${opcode} ya lo usa ${OP_BY_CODE[opcode]}`);
+  if (!OPERAND_KINDS.includes(operand)) throw new Error(`Tipo de operando inválido: ${operand}`);
+  if ((memory || flow) && operand !== "address") throw new Error(`${mnemonic}: memory/flow requieren operando "address"`);
+  if (typeof execute !== "function") throw new Error(`${mnemonic}: falta execute(ctx)`);
+
+  const entry = {
+    mnemonic, opcode, operand, memory, stack, stackWords, flow, unconditional: Boolean(flow && unconditional), uses, sets, description, execute,
+    custom: !def.builtin,
+  };
+  ISA[mnemonic] = entry;
+  OPCODES[mnemonic] = opcode;
+  OP_BY_CODE[opcode] = mnemonic;
+  ({ none: NO_ARG_OPS, immediate: IMMEDIATE_OPS, address: ADDRESS_OPS })[operand].add(mnemonic);
+  if (stack) STACK_OPS.add(mnemonic);
+  if (flow === "jump") JUMP_OPS.add(mnemonic);
+  return entry;
+}
+
+// ==== Instrucciones base ====
+const builtin = (mnemonic, opcode, operand, description, execute, extra = {}) =>
+  registerInstruction({ mnemonic, opcode, operand, description, execute, builtin: true, ...extra });
+
+// Mensaje de "EXEC: OP #n → REG=v"
+const immediateMsg = (op, arg, reg, value) => msg("cpu.immediate", { op, arg, reg, value });
+
+// Salto condicional: cond = (ctx) → boolean; condText = texto de la condición
+function conditionalJump(cond, condText) {
+  return (ctx) => {
+    const { op, arg, done, clampPC, nextPC } = ctx;
+    if (cond(ctx)) return done({ pc: clampPC(arg) }, msg("cpu.jumpIf", { op, cond: condText, addr: arg }));
+    return done({ pc: nextPC() }, msg("cpu.noJump", { op }));
+  };
+}
+
+// Aritmética inmediata: ADD/SUB/MUL/DIV #n (resultado ajustado + banderas Z/N/C/V)
+function aluImmediate({ op, arg, alu, done, nextPC }) {
+  const r = alu(op, arg);
+  return done({ ...r, pc: nextPC() }, immediateMsg(op, arg, "ACC", r.acc));
+}
+
+// Aritmética con memoria: ADDM/SUBM [dir]
+function aluMemory({ op, arg, read, alu, done, nextPC }) {
+  const d = read(arg);
+  const r = alu(op === "ADDM" ? "ADD" : "SUB", d);
+  return done({ ...r, pc: nextPC() }, msg("cpu.aluMem", { op, addr: arg, data: d, acc: r.acc }));
+}
+
+builtin("NOP", 1, "none",
+  { es: "No hace nada; PC avanza.", en: "Does nothing; PC advances." },
+  ({ op, done, nextPC }) => done({ pc: nextPC() }, msg("cpu.exec", { op })));
+
+builtin("HLT", 2, "none",
+  { es: "Detiene la CPU.", en: "Halts the CPU." },
+  ({ done }) => done({ halted: true }, msg("cpu.hlt")));
+
+// Cargas: el valor se ajusta al ancho de palabra y actualiza Z/N
+builtin("LOAD", 3, "immediate",
+  { es: "ACC ← n", en: "ACC ← n" },
+  ({ op, arg, setAcc, done, nextPC }) => {
+    const r = setAcc(arg);
+    return done({ ...r, pc: nextPC() }, immediateMsg(op, arg, "ACC", r.acc));
+  },
+  { sets: ["ACC", "FLAGS"] });
+
+builtin("ADD", 4, "immediate", { es: "ACC ← ACC + n", en: "ACC ← ACC + n" }, aluImmediate, { uses: ["ACC"], sets: ["ACC", "FLAGS"] });
+builtin("SUB", 5, "immediate", { es: "ACC ← ACC − n", en: "ACC ← ACC − n" }, aluImmediate, { uses: ["ACC"], sets: ["ACC", "FLAGS"] });
+builtin("MUL", 6, "immediate", { es: "ACC ← ACC × n", en: "ACC ← ACC × n" }, aluImmediate, { uses: ["ACC"], sets: ["ACC", "FLAGS"] });
+
+builtin("DIV", 7, "immediate",
+  { es: "ACC ← ACC ÷ n (entera; ÷0 deja 0)", en: "ACC ← ACC ÷ n (integer; ÷0 gives 0)" },
+  (ctx) => {
+    if (wrap(ctx.arg, ctx.bits) !== 0) return aluImmediate(ctx);
+    const r = ctx.alu("DIV", ctx.arg);
+    return ctx.done({ ...r, pc: ctx.nextPC() }, msg("cpu.divZero", { arg: ctx.arg }));
+  },
+  { uses: ["ACC"], sets: ["ACC", "FLAGS"] });
+
+builtin("LOADI", 8, "address",
+  { es: "ACC ← M[dir]", en: "ACC ← M[addr]" },
+  ({ arg, read, setAcc, done, nextPC }) => {
+    const r = setAcc(read(arg));
+    return done({ ...r, pc: nextPC() }, msg("cpu.loadi", { addr: arg, acc: r.acc }));
+  },
+  { memory: "read", sets: ["ACC", "FLAGS"] });
+
+builtin("ADDM", 9, "address", { es: "ACC ← ACC + M[dir]", en: "ACC ← ACC + M[addr]" }, aluMemory, { memory: "read", uses: ["ACC"], sets: ["ACC", "FLAGS"] });
+builtin("SUBM", 10, "address", { es: "ACC ← ACC − M[dir]", en: "ACC ← ACC − M[addr]" }, aluMemory, { memory: "read", uses: ["ACC"], sets: ["ACC", "FLAGS"] });
+
+builtin("STORE", 11, "address",
+  { es: "M[dir] ← ACC", en: "M[addr] ← ACC" },
+  ({ op, arg, acc, memory, done, nextPC }) => {
+    const m = memory.slice();
+    m[arg] = acc;
+    return done({ memory: m, pc: nextPC() }, msg("cpu.write", { op, acc, addr: arg }));
+  },
+  { memory: "write", uses: ["ACC"] });
+
+// Saltos: JZ/JNZ leen ACC; JN/JP/JC/JV, las banderas (FLAGS)
+builtin("JMP", 12, "address",
+  { es: "PC ← dir", en: "PC ← addr" },
+  ({ op, arg, done, clampPC }) => done({ pc: clampPC(arg) }, msg("cpu.jump", { op, addr: arg })),
+  { flow: "jump", unconditional: true });
+builtin("JZ", 13, "address", { es: "Salta si ACC = 0", en: "Jumps if ACC = 0" },
+  conditionalJump(({ acc }) => acc === 0, "ACC=0"), { flow: "jump", uses: ["ACC"] });
+builtin("JNZ", 14, "address", { es: "Salta si ACC ≠ 0", en: "Jumps if ACC ≠ 0" },
+  conditionalJump(({ acc }) => acc !== 0, "ACC!=0"), { flow: "jump", uses: ["ACC"] });
+builtin("JN", 15, "address", { es: "Salta si N = 1 (negativo)", en: "Jumps if N = 1 (negative)" },
+  conditionalJump(({ flags }) => flags.N, "N=1"), { flow: "jump", uses: ["FLAGS"] });
+builtin("JP", 16, "address", { es: "Salta si N = 0 y Z = 0 (positivo)", en: "Jumps if N = 0 and Z = 0 (positive)" },
+  conditionalJump(({ flags }) => !flags.N && !flags.Z, msg("cpu.flagsPositive")), { flow: "jump", uses: ["FLAGS"] });
+builtin("JC", 17, "address", { es: "Salta si C = 1 (acarreo)", en: "Jumps if C = 1 (carry)" },
+  conditionalJump(({ flags }) => flags.C, "C=1"), { flow: "jump", uses: ["FLAGS"] });
+builtin("JV", 18, "address", { es: "Salta si V = 1 (desborde)", en: "Jumps if V = 1 (overflow)" },
+  conditionalJump(({ flags }) => flags.V, "V=1"), { flow: "jump", uses: ["FLAGS"] });
+
+builtin("OUT", 19, "none",
+  { es: "Envía ACC a la salida", en: "Sends ACC to the output" },
+  ({ state, acc, done, nextPC }) => done({ outputs: [...state.outputs, acc], pc: nextPC() }, msg("cpu.out", { value: acc })),
+  { uses: ["ACC"] });
+
+// Entrada: toma el primer valor de la cola
+builtin("IN", 20, "none",
+  { es: "ACC ← siguiente valor de la cola de entrada", en: "ACC ← next value of the input queue" },
+  ({ state, op, setAcc, done, nextPC }) => {
+    const queue = state.inputs ?? [];
+    if (queue.length === 0) {
+      if (state.inputPolicy === "fault") return done({ halted: true, fault: "INPUT_EMPTY" }, msg("cpu.inputEmpty"));
+      // Sin avanzar de fase: el próximo paso vuelve a intentar el IN (mientras
+      // espera, el estado no cambia: no suma ciclos ni instantáneas)
+      if (state.waitingInput) return { state, lastAction: msg("cpu.inputWait") };
+      return { state: { ...state, waitingInput: true }, lastAction: msg("cpu.inputWait") };
+    }
+    const [v, ...rest] = queue;
+    const r = setAcc(v);
+    return done({ ...r, inputs: rest, waitingInput: false, pc: nextPC() }, msg("cpu.register", { op, reg: "ACC", value: r.acc }));
+  },
+  { sets: ["ACC", "FLAGS"] });
+
+// Registro índice
+builtin("LDX", 21, "immediate",
+  { es: "IX ← n", en: "IX ← n" },
+  ({ op, arg, done, nextPC }) => done({ ix: arg, pc: nextPC() }, immediateMsg(op, arg, "IX", arg)),
+  { sets: ["IX"] });
+builtin("INX", 22, "none",
+  { es: "IX ← IX + 1", en: "IX ← IX + 1" },
+  ({ op, ix, done, nextPC }) => done({ ix: ix + 1, pc: nextPC() }, msg("cpu.register", { op, reg: "IX", value: ix + 1 })),
+  { uses: ["IX"], sets: ["IX"] });
+builtin("DEX", 23, "none",
+  { es: "IX ← IX − 1", en: "IX ← IX − 1" },
+  ({ op, ix, done, nextPC }) => done({ ix: ix - 1, pc: nextPC() }, msg("cpu.register", { op, reg: "IX", value: ix - 1 })),
+  { uses: ["IX"], sets: ["IX"] });
+builtin("TAX", 24, "none",
+  { es: "IX ← ACC", en: "IX ← ACC" },
+  ({ op, acc, done, nextPC }) => done({ ix: acc, pc: nextPC() }, msg("cpu.register", { op, reg: "IX", value: acc })),
+  { uses: ["ACC"], sets: ["IX"] });
+builtin("TXA", 25, "none",
+  { es: "ACC ← IX", en: "ACC ← IX" },
+  ({ op, ix, setAcc, done, nextPC }) => {
+    const r = setAcc(ix);
+    return done({ ...r, pc: nextPC() }, msg("cpu.register", { op, reg: "ACC", value: r.acc }));
+  },
+  { uses: ["IX"], sets: ["ACC", "FLAGS"] });
+
+// Pila y subrutinas
+builtin("CALL", 26, "address",
+  { es: "Apila PC + 1 y salta a dir", en: "Pushes PC + 1 and jumps to addr" },
+  ({ arg, push, overflow, done, nextPC }) => {
+    const r = push(nextPC());
+    if (!r) return overflow;
+    return done({ ...r, pc: arg }, msg("cpu.call", { addr: arg, ret: nextPC(), slot: r.sp }));
+  },
+  { stack: "push", flow: "call", unconditional: true });
+builtin("RET", 27, "none",
+  { es: "Desapila la dirección de retorno en PC", en: "Pops the return address into PC" },
+  ({ op, pop, underflow, clampPC, done }) => {
+    const r = pop();
+    if (!r) return underflow;
+    const ret = clampPC(r.value);
+    return done({ sp: r.sp, pc: ret }, msg("cpu.jump", { op, addr: ret }));
+  },
+  { stack: "pop" });
+builtin("PUSH", 28, "none",
+  { es: "Apila ACC", en: "Pushes ACC" },
+  ({ op, acc, push, overflow, done, nextPC }) => {
+    const r = push(acc);
+    if (!r) return overflow;
+    return done({ ...r, pc: nextPC() }, msg("cpu.write", { op, acc, addr: r.sp }));
+  },
+  { stack: "push", uses: ["ACC"] });
+builtin("POP", 29, "none",
+  { es: "Desapila en ACC", en: "Pops into ACC" },
+  ({ sp, pop, underflow, setAcc, done, nextPC }) => {
+    const r = pop();
+    if (!r) return underflow;
+    const v = setAcc(r.value);
+    return done({ ...v, sp: r.sp, pc: nextPC() }, msg("cpu.pop", { addr: sp, acc: v.acc }));
+  },
+  { stack: "pop", sets: ["ACC", "FLAGS"] });
+
+// Interrupciones (ver interrupts.js): habilitación, retorno y temporizador
+builtin("EI", 30, "none",
+  { es: "Habilita las interrupciones (IE ← 1)", en: "Enables interrupts (IE ← 1)" },
+  ({ op, done, nextPC }) => done({ ie: true, pc: nextPC() }, msg("cpu.register", { op, reg: "IE", value: 1 })));
+builtin("DI", 31, "none",
+  { es: "Deshabilita las interrupciones (IE ← 0)", en: "Disables interrupts (IE ← 0)" },
+  ({ op, done, nextPC }) => done({ ie: false, pc: nextPC() }, msg("cpu.register", { op, reg: "IE", value: 0 })));
+// Desapila en el orden inverso a la entrada: ACC, banderas y PC. ACC se
+// ajusta al ancho de palabra y las banderas vuelven tal como estaban (Z/N/C/V)
+builtin("IRET", 32, "none",
+  { es: "Desapila ACC, banderas y PC y habilita las interrupciones", en: "Pops ACC, flags and PC and enables interrupts" },
+  ({ pop, underflow, setAcc, clampPC, done }) => {
+    const a = pop();
+    const f = a && pop(a.sp);
+    const r = f && pop(f.sp);
+    if (!r) return underflow;
+    const ret = clampPC(r.value);
+    const { acc } = setAcc(a.value);
+    return done({ acc, flags: unpackFlags(f.value), sp: r.sp, pc: ret, ie: true }, msg("cpu.iret", { addr: ret, acc }));
+  },
+  { stack: "pop", stackWords: IRQ_FRAME.length, sets: ["ACC", "FLAGS"] });
+builtin("TMR", 33, "immediate",
+  { es: "Temporizador: interrupción cada n instrucciones (0 lo apaga)", en: "Timer: interrupt every n instructions (0 stops it)" },
+  ({ arg, done, nextPC }) => {
+    const timer = createTimer(arg);
+    return done({ timer, pc: nextPC() }, timer.period ? msg("cpu.timer", { period: timer.period }) : msg("cpu.timerOff"));
+  });
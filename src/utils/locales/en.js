@@ -0,0 +1,433 @@
+/* =========================================================
+   Catálogo en inglés (mismas claves que es.js; lo que falte
+   se muestra en español)
+   ========================================================= */
+
+export const en = {
+  // ==== Página ====
+  "ui.title": "Visual simulator: Von Neumann machine",
+  "ui.subtitle": "**Fetch → Decode → Execute** cycle with PC, IR, ACC and IX registers. Unified memory for instructions and data.",
+  "ui.language": "Language",
+  "ui.footer": "Von Neumann architecture",
+
+  "card.registers": "Registers",
+  "card.execution": "Execution",
+  "card.rtl": "Buses and micro-operations",
+  "card.program": "Program and variables",
+  "card.exercises": "Exercises",
+  "card.memory": "Memory",
+  "card.output": "Output (OUT)",
+  "card.input": "Input (IN)",
+  "card.stats": "Statistics",
+  "card.console": "Console (history)",
+  "card.isa": "Instruction set",
+  "card.compare": "Von Neumann vs. Harvard",
+  "card.pipeline": "Pipeline (Fetch · Decode · Execute)",
+  "card.cache": "Cache",
+  "card.devices": "I/O devices",
+
+  "ui.phase": "Phase",
+  "ui.word": "Word",
+  "ui.bits": "{bits} bits",
+  "ui.accRange": "ACC ∈ [{min}, {max}] (two's complement)",
+  "ui.irLabel": "IR (current instruction)",
+
+  "ui.step": "Step",
+  "ui.stepInstr": "Instruction",
+  "ui.stepBack": "Step back",
+  "ui.pause": "Pause",
+  "ui.run": "Run",
+  "ui.reset": "Reset",
+  "ui.clearMemory": "Clear memory",
+  "ui.loadSample": "Load sample",
+  "ui.lastAction": "Last action:",
+  "ui.nothingYet": "(nothing yet)",
+  "ui.speed": "Speed",
+  "ui.cycle": "Cycle",
+  "ui.pauseIfAcc": "Pause if ACC",
+  "ui.raiseIrq": "⚡ Interrupt",
+  "ui.timer": "Timer",
+  "ui.timerHint": "Interrupt every n completed instructions (0 = off); the program reprograms it with TMR n",
+  "ui.irqStatus": "IE={ie} · pending: {irq} · vector [{vector}] → {isr}",
+  "ui.timerCount": "{count} of {period} left",
+  "ui.rtlMode": "Detailed mode: “Step” advances one micro-operation",
+  "ui.pipelineMode": "Pipeline mode: 3 instructions in flight, one per stage",
+  "ui.forwarding": "Register forwarding",
+
+  "ui.operation": "Operation",
+  "ui.tplADD": "Addition: X + Y → Z",
+  "ui.tplSUB": "Subtraction: X - Y → Z",
+  "ui.tplMUL": "Multiplication: X * Y → Z",
+  "ui.tplDIV": "Division: X / Y → Z",
+  "ui.insertTemplate": "Insert into editor",
+  "ui.compile": "Assemble and load",
+  "ui.disassemble": "Disassemble memory",
+  "ui.example": "Example",
+  "ui.exportProject": "Export project",
+  "ui.importProject": "Import project",
+  "ui.copyLink": "Copy link",
+  "ui.rule":
+    "Rule: in **LOAD/ADD/SUB** a name stands for its **value**. In **STORE** a name stands for its **address**. " +
+    "Labels with **name:**, data with **.data** / **.word** and constants with **.equ**. " +
+    "Indirect: **LOADI @P**; indexed: **LOADI T, IX** (with **LDX/INX/DEX/TAX/TXA**). " +
+    "Subroutines: **CALL f** / **RET**, stack with **PUSH** / **POP**. " +
+    "**IN** reads from the input queue. Flag jumps: **JN/JP/JC/JV**.",
+  "ui.name": "Name",
+  "ui.value": "Value",
+  "ui.removeVar": "Remove variable",
+  "ui.newVar": "New variable",
+  "ui.addVar": "Add variable",
+  "ui.varsNote": "Variables are stored in memory after the program.",
+
+  "ui.noExercise": "(no exercise)",
+  "ui.importExercise": "Import exercise",
+  "ui.exerciseInfo": "{cases} cases · {memSize}-cell memory · up to {max} instructions per case",
+  "ui.useStarter": "Use starter code",
+  "ui.grade": "Grade",
+
+  "ui.size": "Size",
+  "ui.cells": "{n} cells",
+  "ui.strict": "Strict mode",
+  "ui.strictHint": "Writing to code or executing data halts the CPU",
+  "ui.arch": "Architecture",
+  "ui.archHint": "Harvard: separate instruction and data memories, each with its own bus",
+  "ui.memoryHelp":
+    "Click the address: breakpoint · W: write watchpoint · →: run to the cell. " +
+    "Purple cells are the stack (SP marks the top). " +
+    "⚠ in red: write to code; in amber: data executed as an instruction.",
+
+  "ui.noOutput": "(no output)",
+  "ui.queueEmpty": "(queue empty)",
+  "ui.inputWait": "The CPU is waiting for a value for **IN**: add it and press Step or Run.",
+  "ui.inputPlaceholder": "Values: 3, 5, -1",
+  "ui.add": "Add",
+  "ui.clear": "Clear",
+  "ui.onEmpty": "Empty queue",
+  "ui.policyPause": "Pause and ask for a value",
+  "ui.policyFault": "Error (halts the CPU)",
+
+  "ui.noMessages": "(no messages yet)",
+  "ui.clearConsole": "Clear console",
+  "ui.exportTraceJson": "Export trace as JSON",
+  "ui.exportTraceCsv": "Export trace as CSV",
+  "ui.empty": "(empty)",
+
+  // ==== Componentes ====
+  "flag.Z": "Zero",
+  "flag.N": "Negative",
+  "flag.C": "Carry",
+  "flag.V": "Overflow",
+
+  "bus.address": "Address bus",
+  "bus.data": "Data bus",
+  "bus.control": "Control bus",
+  "bus.hint": "Press “Step” to see the micro-operations of the next phase",
+
+  "grid.view": "Cell view",
+  "grid.hexAddr": "Hex addresses",
+  "grid.tags": "Code/data",
+  "grid.heat": "Access map",
+  "grid.followPc": "Follow PC",
+  "grid.goto": "Go to…",
+  "grid.heatTitle": "Reads: {reads} · Writes: {writes}",
+  "grid.alertWrite": "Write to code",
+  "grid.alertExec": "Data executed",
+  "grid.watch": "Watchpoint (write)",
+  "grid.runTo": "Run to here",
+  "view.mnemonic": "Mnemonic",
+  "view.dec": "Decimal",
+  "view.hex": "Hex",
+  "view.bin": "Binary",
+
+  "stats.cycles": "Cycles (phases)",
+  "stats.instructions": "Instructions",
+  "stats.cpi": "Cycles per instruction",
+  "stats.fetchReads": "Instruction reads",
+  "stats.dataReads": "Data reads",
+  "stats.dataWrites": "Data writes",
+  "stats.bar": "Instructions {fetch} · data {data}",
+  "stats.share": "{n} bus accesses: {pct} fetching instructions",
+  "stats.none": "(no memory accesses yet)",
+
+  "arch.vonNeumann": "Von Neumann",
+  "arch.harvard": "Harvard",
+  "arch.instrMemory": "Instruction memory [{from}–{to}]",
+  "arch.dataMemory": "Data memory [{from}–{to}]",
+  "arch.counters": "{reads} reads · {writes} writes",
+  "compare.cycles": "Cycles",
+  "compare.cpi": "Cycles per instruction",
+  "compare.buses": "Memory buses",
+  "compare.busesVN": "1 (shared)",
+  "compare.busesH": "2 (instr. | data)",
+  "compare.traffic": "Accesses per bus",
+  "compare.overlaps": "Fetch alongside data",
+  "compare.speedup": "Same program, same phases: Harvard saves {saved} cycles (×{speedup})",
+  "compare.none": "(run the program to compare)",
+
+  "grade.total": "{passed} / {total} cases passed",
+  "grade.instructions": "{n} instr.",
+  "grade.expected": "Expected",
+  "grade.actual": "Actual",
+  "grade.cell": "Cell",
+
+  // ==== Mensajes de la página (consola) ====
+  "log.sharedLoaded": "Program loaded from the link",
+  "log.restored": "Session restored",
+  "log.sampleLoaded": "Sample program loaded",
+  "log.template": "Template inserted: {op} with X and Y",
+  "log.asmErrors": "Assembly errors ({n})",
+  "log.loaded": "Program assembled and loaded",
+  "log.exported": "Project exported",
+  "log.importFailed": "Could not import: {error}",
+  "log.imported": "Project imported: {name}",
+  "log.linkCopied": "Link copied to the clipboard",
+  "log.link": "Share link: {url}",
+  "log.exercise": "Exercise: {title}",
+  "log.graded": "Grade: {passed}/{total} cases passed",
+  "log.exerciseFailed": "Could not import the exercise: {error}",
+  "log.exerciseImported": "Exercise imported: {title}",
+  "log.disassembled": "Memory disassembled into the editor",
+
+  // ==== CPU (step) ====
+  "cpu.halted": "CPU halted",
+  "cpu.fetch": "FETCH @{pc}: {instr}",
+  "cpu.decode": "DECODE: {instr}",
+  "cpu.exec": "EXEC: {op}",
+  "cpu.hlt": "EXEC: HLT (CPU halted)",
+  "cpu.immediate": "EXEC: {op} #{arg} → {reg}={value}",
+  "cpu.register": "EXEC: {op} → {reg}={value}",
+  "cpu.loadi": "EXEC: LOADI [{addr}] → ACC={acc}",
+  "cpu.write": "EXEC: {op} ACC({acc}) → [{addr}]",
+  "cpu.aluMem": "EXEC: {op} [{addr}]={data} → ACC={acc}",
+  "cpu.divZero": "EXEC: DIV #{arg} (÷0) → ACC=0",
+  "cpu.jump": "EXEC: {op} → PC={addr}",
+  "cpu.jumpIf": "EXEC: {op} ({cond}) → PC={addr}",
+  "cpu.flagsPositive": "N=0 and Z=0",
+  "cpu.noJump": "EXEC: {op} (not taken)",
+  "cpu.pop": "EXEC: POP [{addr}] → ACC={acc}",
+  "cpu.call": "EXEC: CALL → PC={addr} (return {ret} at [{slot}])",
+  "cpu.out": "EXEC: OUT → {value}",
+  "cpu.data": "EXEC: DATA (no effect)",
+  "cpu.inputWait": "IN: queue empty, waiting for input",
+  "cpu.inputEmpty": "ERROR: IN with an empty input queue",
+  "cpu.stackOverflow": "ERROR: stack overflow (SP={sp}, limit {limit})",
+  "cpu.stackUnderflow": "ERROR: stack empty",
+  "cpu.invalid": "ERROR: invalid instruction",
+  "cpu.unknownOp": "ERROR: unknown op {op}",
+  "cpu.strict": "ERROR: {alert} (strict mode)",
+  "cpu.noChange": "(no change)",
+  "cpu.interrupt": "INTERRUPT ({source}): PC={ret}, flags and ACC pushed at [{slot}], IE=0 → PC=M[{vector}]={isr}",
+  "cpu.iret": "EXEC: IRET → ACC={acc}, flags restored, PC={addr}, IE=1",
+  "cpu.timer": "EXEC: TMR → interrupt every {period} instructions",
+  "cpu.timerOff": "EXEC: TMR → timer off",
+
+  "irq.external": "external",
+  "irq.timer": "timer",
+
+  "alert.WRITE_CODE": "write to code at [{addr}]",
+  "alert.EXEC_DATA": "data executed at [{addr}]",
+
+  // ==== Microoperaciones (RTL) ====
+  "rtl.operand": "IR.operand",
+  "rtl.ea": "EA",
+  "rtl.assign": "{dst} ← {src}",
+  "rtl.set": "{dst} ← {src} ({value})",
+  "rtl.alu": "ACC ← ACC {sym} {src} ({value})",
+  "rtl.eaIndexed": "EA ← IR.operand + IX ({base} + {ix} = {ea})",
+  "rtl.in": "ACC ← INPUT ({value})",
+  "rtl.out": "OUTPUT ← ACC ({value})",
+  "rtl.condFalse": "{op}: condition false",
+  "rtl.fault": "Control: FAULT",
+  "rtl.decode": "Decoder ← IR ({op})",
+  "rtl.decodeMode": "Decoder ← IR ({op}, {mode} mode)",
+  "rtl.inWait": "IN: waiting for input",
+  "rtl.exec": "Execute {op}",
+  "rtl.irq": "Control: INT ({source})",
+  "rtl.vector": "vector",
+
+  // ==== Juego de instrucciones (ayuda) ====
+  "isa.opcode": "Opcode",
+  "isa.mnemonic": "Mnemonic",
+  "isa.operand": "Operand",
+  "isa.description": "Description",
+  "isa.kind.none": "—",
+  "isa.kind.immediate": "n",
+  "isa.kind.address": "addr · @addr · addr,IX",
+  "isa.custom": "course",
+
+  // ==== Dispositivos de E/S ====
+  "dev.leds": "LED bar",
+  "dev.sevenSeg": "Seven-segment display",
+  "dev.terminal": "Terminal",
+  "dev.base": "Address",
+  "dev.help": "Each device takes reserved cells below the vector [{limit}]: STORE drives it and LOADI reads it. An address that overlaps another device or does not fit is not applied.",
+  "dev.ledsHint": "STORE {base}: one LED per bit of the value",
+  "dev.sevenSegHint": "STORE {base}: shows the value in decimal",
+  "dev.terminalHint": "STORE {base}: prints a character (ASCII; 10 = new line, 8 = backspace) · LOADI {base}: takes a key (0 = none) · LOADI {status}: pending keys · STORE {status}: clears the screen",
+  "dev.keysPlaceholder": "text (sent with a line break)",
+  "dev.send": "Send",
+  "dev.keysPending": "{n} keys in the buffer",
+
+  // ==== Caché ====
+  "cache.enabled": "Use cache",
+  "cache.lines": "Lines",
+  "cache.blockSize": "Words per block",
+  "cache.mapping": "Mapping",
+  "cache.ways": "{n}-way",
+  "cache.direct": "direct",
+  "cache.write": "Write",
+  "cache.back": "Write-back",
+  "cache.through": "Write-through",
+  "cache.line": "Line",
+  "cache.set": "Set",
+  "cache.tag": "Tag",
+  "cache.block": "Block (addresses)",
+  "cache.data": "Data",
+  "cache.off": "No cache: the CPU goes straight to memory. Enable it to see hits and misses.",
+  "cache.counters": "{accesses} accesses · {hits} hits · {misses} misses ({hitRate} hit rate) · {writebacks} write-backs",
+  "cache.traffic": "Memory ↔ cache: {memReads} words read, {memWrites} written · average access time {amat} cycles (miss = {penalty})",
+  "cache.hit": "hit",
+  "cache.miss": "miss",
+  "cache.evict": "evicts tag {tag}",
+  "cache.evictDirty": "evicts tag {tag} (dirty: write-back)",
+  "cache.noAllocate": "no allocation: straight to memory",
+  "cache.kind.fetch": "Fetch",
+  "cache.kind.read": "Read",
+  "cache.kind.write": "Write",
+  "cache.none": "(no accesses in this step)",
+
+  // ==== Pipeline ====
+  "pipe.instr": "Instruction",
+  "pipe.flushed": "(flushed)",
+  "pipe.summary": "{cycles} cycles pipelined vs. {sequential} non-pipelined → ×{speedup} (CPI {cpi})",
+  "pipe.counts": "Control: {flushes} flushes, {bubbles} bubbles · Data: {stalls} stalls, {forwards} forwards",
+  "pipe.none": "(run the program to see the diagram)",
+  "pipe.legend": "F/D/E: stage · S: bubble · X: flushed (taken branch or interrupt)",
+  "pipe.window": "Last {n} instructions",
+  "pipe.flush": "{op} @{pc} jumped to {target}: the 2 instructions fetched behind it are flushed",
+  "pipe.jumpStall": "{op} @{pc}: target known in Decode, 1 bubble cycle",
+  "pipe.regStall": "{op} @{pc} reads {reg} written by {prev}: waits 1 cycle",
+  "pipe.memStall": "{op} @{pc} reads [{addr}] written by {prev}: waits 1 cycle",
+  "pipe.forward": "{op} @{pc} gets {reg} from {prev} through forwarding",
+  "pipe.interrupt": "Interrupt after {op} @{pc}: jumps to the handler at {target} and the 2 instructions fetched behind it are flushed",
+
+  // ==== Simulador y depuración ====
+  "sim.waitInput": "⏸ IN: enter a value in the input queue",
+  "sim.paused": "⏸ {reason}",
+  "sim.back": "⟲ Back to cycle {cycle}",
+  "sim.seek": "⟲ Cycle {cycle}",
+  "sim.memSize": "Memory: {size} cells",
+  "sim.memStack": "Memory: {size} cells (the {depth} stack words moved to the end: SP={sp})",
+  "sim.memStackReset": "Memory: {size} cells (the {depth} stack words do not fit the new region: the stack was emptied)",
+  "sim.wordBits": "{bits}-bit word",
+  "sim.cache": "Cache: {lines} lines of {blockSize} words, {mapping} mapping, write-{writePolicy} (empty)",
+  "sim.cacheOff": "Cache disabled",
+  "sim.irq": "External interrupt requested: taken after the next Execute",
+  "sim.irqMasked": "External interrupt pending (IE=0: waits for an EI)",
+  "sim.irqBusy": "An interrupt is already pending ({source})",
+  "sim.timer": "Timer: interrupt every {period} instructions",
+  "sim.timerOff": "Timer off",
+  "sim.vectorMoved": "Interrupt vector: M[{from}] → M[{to}] = {isr}",
+  "sim.vectorStale": "The interrupt vector moved to cell {to}, which is in use: assemble again to place the routine",
+  "sim.devices": "I/O devices: {n} (screen and keyboard cleared)",
+  "sim.devicesOff": "No I/O devices",
+  "sim.keys": "Keyboard: {n} keys in the buffer",
+
+  "debug.runTo": "Cursor reached at [{addr}]",
+  "debug.breakpoint": "Breakpoint at [{addr}]",
+  "debug.watchWrite": "Watchpoint: write to [{addr}] = {value}",
+  "debug.watchAcc": "Watchpoint: ACC {cond} {value} (ACC={acc})",
+
+  // ==== Ensamblador ====
+  "asm.at": "Line {line}, col {col}: {text}",
+  "asm.duplicate": "Duplicate symbol: {name} (already defined on line {first})",
+  "asm.badLabel": "Invalid label: {name}:",
+  "asm.noOperands": "{name} takes no operands",
+  "asm.wordValue": ".word needs at least one value",
+  "asm.equValue": ".equ needs NAME and value",
+  "asm.badConst": "Invalid constant name: {name}",
+  "asm.extraOperand": "Unexpected operand: {text}",
+  "asm.unknownDirective": "Unknown directive: {name}",
+  "asm.unknownOp": "Unknown instruction: {name}",
+  "asm.noOperand": "{op} takes no operand",
+  "asm.needsOperand": "{op} needs an operand",
+  "asm.immediateOnly": "{op} only accepts an immediate operand (no @ or IX)",
+  "asm.circular": "Circular definition of {name}",
+  "asm.badOperand": "Invalid operand: {text}",
+  "asm.undefined": "Undefined symbol: {name}",
+  "asm.tooLarge": "The program and its data take {size} cells; memory has {memSize}",
+  "asm.range": "Operand out of range in {op}: {value} (allowed {min}..{max})",
+  "asm.stackOverlap": "The program takes {size} cells and overlaps the stack (cells {limit}–{last})",
+  "asm.vectorValue": ".vector needs the interrupt handler label",
+  "asm.vectorTwice": "Repeated .vector (already defined on line {first})",
+  "asm.vectorOverlap": "The program takes {size} cells and overlaps the interrupt vector [{vector}]",
+  "asm.deviceOverlap": "The program takes {size} cells and overlaps {device} (cells {from}–{to})",
+
+  // ==== Proyectos, ejercicios y calificación ====
+  "project.notJson": "The file is not valid JSON",
+  "project.notObject": "The project must be an object",
+  "project.version": "Unsupported project version ({version})",
+  "project.badMemSize": "Invalid memory size ({memSize})",
+  "project.memoryArray": "memory must be an array",
+  "project.varsObject": "vars must be an object { NAME: value }",
+
+  "exercise.notJson": "The exercise is not valid JSON",
+  "exercise.notObject": "The exercise must be an object",
+  "exercise.noCases": "The exercise has no cases",
+  "exercise.noExpect": "Case {n}: expect.outputs or expect.memory is missing",
+  "exercise.outputsArray": "Case {n}: expect.outputs must be an array",
+  "exercise.inputsArray": "Case {n}: inputs must be an array of numbers",
+  "exercise.caseObject": "Case {n}: {key} must be an object { cell: value }",
+  "exercise.badBudget": "maxInstructions must be a positive integer ({value})",
+  "exercise.untitled": "Exercise",
+
+  "grade.case": "Case {n}",
+  "grade.asm": "Does not assemble",
+  "grade.unknownCell": "Unknown cell: {key}",
+  "grade.pass": "Correct",
+  "grade.mismatch": "Result differs from the expected one",
+  "grade.ended": "Stopped by {status}",
+  "grade.endedFault": "Stopped by {status} ({fault})",
+  "grade.status.halted": "HLT",
+  "grade.status.fault": "runtime error",
+  "grade.status.budget": "instruction budget exhausted",
+  "grade.status.waiting": "IN with no values in the queue",
+
+  // ==== Línea de comandos (vnsim) ====
+  "cli.usage": "Usage: vnsim <program.asm | image.json> [--max-instr N] [--mem-size N] [--word-bits 8|16] [--var NAME=value] [--input 1,2,3] [--on-empty pause|fault] [--trace text|json|csv] [--strict] [--stats] [--pipeline] [--no-forwarding] [--cache L:B[:W[:wb|wt]]] [--timer N] [--device TYPE[@ADDR]] [--keys TEXT] [--disasm] [--exercise ex.json] [--lang es|en]",
+  "cli.positiveInt": "{name} must be a positive integer: {value}",
+  "cli.lang": "--lang must be {langs}: {value}",
+  "cli.trace": "--trace must be \"text\", \"json\" or \"csv\"",
+  "cli.onEmpty": "--on-empty must be \"pause\" or \"fault\"",
+  "cli.input": "--input expects comma-separated numbers: {value}",
+  "cli.wordBits": "--word-bits must be {sizes}",
+  "cli.timer": "--timer allows up to {max} instructions: {value}",
+  "cli.var": "--var expects NAME=value: {value}",
+  "cli.cache": "--cache expects LINES:BLOCK[:WAYS[:wb|wt]] with lines {lines}, block {blocks} and ways {ways}: {value}",
+  "cli.device": "--device expects {types}[@ADDR]: {value}",
+  "cli.deviceInvalid": "--device {type}@{base}: repeated, overlapping or outside [0, {limit})",
+  "cli.keys": "--keys needs --device terminal",
+  "cli.exerciseOption": "{option} cannot be combined with --exercise: memSize, wordBits and vars are set in the exercise",
+  "cli.readError": "Could not read {file}: {error}",
+  "cli.badJson": "{file}: invalid JSON ({error})",
+  "cli.badImage": "{file}: expected an array of cells or { \"memory\": [...] }",
+  "cli.fault": "{fault} at PC={pc}: {ir}",
+  "cli.fault.INVALID": "Invalid instruction",
+  "cli.fault.STACK_OVERFLOW": "Stack overflow",
+  "cli.fault.STACK_UNDERFLOW": "POP/RET with an empty stack",
+  "cli.fault.INPUT_EMPTY": "IN with an empty input queue",
+  "cli.fault.WRITE_CODE": "Write over code (strict mode)",
+  "cli.fault.EXEC_DATA": "Data executed (strict mode)",
+  "cli.budget": "Budget exhausted: {n} instructions without HLT",
+  "cli.waiting": "IN with no values in the queue (PC={pc}); use --input",
+  "cli.stats": "Cycles: {cycles} · Instructions: {instructions} · CPI: {cpi}",
+  "cli.accesses": "Accesses: {accesses} (instructions {fetch}, data reads {reads}, writes {writes})",
+  "cli.byOp": "By opcode: {ops}",
+  "cli.harvard": "Harvard: {cycles} cycles · CPI: {cpi} ({overlaps} Fetches in parallel with data, ×{speedup})",
+  "cli.cacheCounters": "Cache: {accesses} accesses · {hits} hits · {misses} misses ({rate}%) · {writebacks} write-backs",
+  "cli.cacheTraffic": "Memory ↔ cache: {memReads} words read, {memWrites} written · AMAT {amat} cycles",
+  "cli.leds": "LEDs [{base}]: {bits}",
+  "cli.sevenSeg": "Display [{base}]: {value}",
+  "cli.diff": "{what}: expected {expected}, got {actual}",
+  "cli.total": "{passed}/{total} cases passed",
+};
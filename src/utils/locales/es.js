@@ -0,0 +1,434 @@
+/* =========================================================
+   Catálogo en español (idioma por defecto, ver i18n.js)
+   "{param}" se reemplaza por el parámetro del mensaje;
+   "**texto**" se muestra en negrita en la página
+   ========================================================= */
+
+export const es = {
+  // ==== Página ====
+  "ui.title": "Simulador visual: Máquina de Von Neumann",
+  "ui.subtitle": "Ciclo **Fetch → Decode → Execute** con registros PC, IR, ACC e IX. Memoria unificada para instrucciones y datos.",
+  "ui.language": "Idioma",
+  "ui.footer": "Arquitectura de Von Neumann",
+
+  "card.registers": "Registros",
+  "card.execution": "Ejecución",
+  "card.rtl": "Buses y microoperaciones",
+  "card.program": "Programa y variables",
+  "card.exercises": "Ejercicios",
+  "card.memory": "Memoria",
+  "card.output": "Salida (OUT)",
+  "card.input": "Entrada (IN)",
+  "card.stats": "Estadísticas",
+  "card.console": "Consola (historial)",
+  "card.isa": "Juego de instrucciones",
+  "card.compare": "Von Neumann vs. Harvard",
+  "card.pipeline": "Pipeline (Fetch · Decode · Execute)",
+  "card.cache": "Caché",
+  "card.devices": "Dispositivos de E/S",
+
+  "ui.phase": "Fase",
+  "ui.word": "Palabra",
+  "ui.bits": "{bits} bits",
+  "ui.accRange": "ACC ∈ [{min}, {max}] (complemento a dos)",
+  "ui.irLabel": "IR (instrucción actual)",
+
+  "ui.step": "Paso",
+  "ui.stepInstr": "Instrucción",
+  "ui.stepBack": "Paso atrás",
+  "ui.pause": "Pausar",
+  "ui.run": "Ejecutar",
+  "ui.reset": "Reset",
+  "ui.clearMemory": "Limpiar memoria",
+  "ui.loadSample": "Cargar ejemplo",
+  "ui.lastAction": "Última acción:",
+  "ui.nothingYet": "(aún nada)",
+  "ui.speed": "Velocidad",
+  "ui.cycle": "Ciclo",
+  "ui.pauseIfAcc": "Pausar si ACC",
+  "ui.raiseIrq": "⚡ Interrupción",
+  "ui.timer": "Temporizador",
+  "ui.timerHint": "Interrupción cada n instrucciones completadas (0 = apagado); el programa lo reprograma con TMR n",
+  "ui.irqStatus": "IE={ie} · pendiente: {irq} · vector [{vector}] → {isr}",
+  "ui.timerCount": "faltan {count} de {period}",
+  "ui.rtlMode": "Modo detallado: “Paso” avanza una microoperación",
+  "ui.pipelineMode": "Modo pipeline: 3 instrucciones en vuelo, una por etapa",
+  "ui.forwarding": "Adelantamiento (forwarding) de registros",
+
+  "ui.operation": "Operación",
+  "ui.tplADD": "Suma: X + Y → Z",
+  "ui.tplSUB": "Resta: X - Y → Z",
+  "ui.tplMUL": "Multiplicación: X * Y → Z",
+  "ui.tplDIV": "División: X / Y → Z",
+  "ui.insertTemplate": "Insertar en editor",
+  "ui.compile": "Compilar y cargar",
+  "ui.disassemble": "Desensamblar memoria",
+  "ui.example": "Ejemplo",
+  "ui.exportProject": "Exportar proyecto",
+  "ui.importProject": "Importar proyecto",
+  "ui.copyLink": "Copiar enlace",
+  "ui.rule":
+    "Regla: en **LOAD/ADD/SUB** el nombre usa su **valor**. En **STORE** el nombre usa su **dirección**. " +
+    "Etiquetas con **nombre:**, datos con **.data** / **.word** y constantes con **.equ**. " +
+    "Indirecto: **LOADI @P**; indexado: **LOADI T, IX** (con **LDX/INX/DEX/TAX/TXA**). " +
+    "Subrutinas: **CALL f** / **RET**, pila con **PUSH** / **POP**. " +
+    "**IN** lee de la cola de entrada. Saltos por banderas: **JN/JP/JC/JV**.",
+  "ui.name": "Nombre",
+  "ui.value": "Valor",
+  "ui.removeVar": "Quitar variable",
+  "ui.newVar": "Nueva variable",
+  "ui.addVar": "Agregar variable",
+  "ui.varsNote": "Las variables se guardan al final del programa en memoria.",
+
+  "ui.noExercise": "(sin ejercicio)",
+  "ui.importExercise": "Importar ejercicio",
+  "ui.exerciseInfo": "{cases} casos · memoria de {memSize} celdas · máx. {max} instrucciones por caso",
+  "ui.useStarter": "Usar código inicial",
+  "ui.grade": "Calificar",
+
+  "ui.size": "Tamaño",
+  "ui.cells": "{n} celdas",
+  "ui.strict": "Modo estricto",
+  "ui.strictHint": "Escribir sobre código o ejecutar datos detiene la CPU",
+  "ui.arch": "Arquitectura",
+  "ui.archHint": "Harvard: memorias separadas para instrucciones y datos, con un bus cada una",
+  "ui.memoryHelp":
+    "Clic en la dirección: breakpoint · W: watchpoint de escritura · →: ejecutar hasta la celda. " +
+    "Las celdas moradas son la pila (SP marca el tope). " +
+    "⚠ en rojo: escritura sobre código; en ámbar: datos ejecutados como instrucción.",
+
+  "ui.noOutput": "(sin salida)",
+  "ui.queueEmpty": "(cola vacía)",
+  "ui.inputWait": "La CPU espera un valor para **IN**: agrégalo y presiona Paso o Ejecutar.",
+  "ui.inputPlaceholder": "Valores: 3, 5, -1",
+  "ui.add": "Agregar",
+  "ui.clear": "Vaciar",
+  "ui.onEmpty": "Cola vacía",
+  "ui.policyPause": "Pausar y pedir valor",
+  "ui.policyFault": "Error (detiene la CPU)",
+
+  "ui.noMessages": "(sin mensajes aún)",
+  "ui.clearConsole": "Limpiar consola",
+  "ui.exportTraceJson": "Exportar traza JSON",
+  "ui.exportTraceCsv": "Exportar traza CSV",
+  "ui.empty": "(vacío)",
+
+  // ==== Componentes ====
+  "flag.Z": "Cero",
+  "flag.N": "Negativo",
+  "flag.C": "Acarreo",
+  "flag.V": "Desborde",
+
+  "bus.address": "Bus de direcciones",
+  "bus.data": "Bus de datos",
+  "bus.control": "Bus de control",
+  "bus.hint": "Presiona “Paso” para ver las microoperaciones de la siguiente fase",
+
+  "grid.view": "Vista de las celdas",
+  "grid.hexAddr": "Direcciones hex",
+  "grid.tags": "Código/datos",
+  "grid.heat": "Mapa de accesos",
+  "grid.followPc": "Seguir PC",
+  "grid.goto": "Ir a…",
+  "grid.heatTitle": "Lecturas: {reads} · Escrituras: {writes}",
+  "grid.alertWrite": "Escritura sobre código",
+  "grid.alertExec": "Datos ejecutados",
+  "grid.watch": "Watchpoint (escritura)",
+  "grid.runTo": "Ejecutar hasta aquí",
+  "view.mnemonic": "Mnemónico",
+  "view.dec": "Decimal",
+  "view.hex": "Hex",
+  "view.bin": "Binario",
+
+  "stats.cycles": "Ciclos (fases)",
+  "stats.instructions": "Instrucciones",
+  "stats.cpi": "Ciclos por instrucción",
+  "stats.fetchReads": "Lecturas de instrucciones",
+  "stats.dataReads": "Lecturas de datos",
+  "stats.dataWrites": "Escrituras de datos",
+  "stats.bar": "Instrucciones {fetch} · datos {data}",
+  "stats.share": "{n} accesos por el bus: {pct} para traer instrucciones",
+  "stats.none": "(sin accesos a memoria aún)",
+
+  "arch.vonNeumann": "Von Neumann",
+  "arch.harvard": "Harvard",
+  "arch.instrMemory": "Memoria de instrucciones [{from}–{to}]",
+  "arch.dataMemory": "Memoria de datos [{from}–{to}]",
+  "arch.counters": "{reads} lecturas · {writes} escrituras",
+  "compare.cycles": "Ciclos",
+  "compare.cpi": "Ciclos por instrucción",
+  "compare.buses": "Buses a memoria",
+  "compare.busesVN": "1 (compartido)",
+  "compare.busesH": "2 (instr. | datos)",
+  "compare.traffic": "Accesos por bus",
+  "compare.overlaps": "Fetch en paralelo con datos",
+  "compare.speedup": "Mismo programa y mismas fases: Harvard ahorra {saved} ciclos (×{speedup})",
+  "compare.none": "(ejecuta el programa para comparar)",
+
+  "grade.total": "{passed} / {total} casos correctos",
+  "grade.instructions": "{n} instr.",
+  "grade.expected": "Esperado",
+  "grade.actual": "Obtenido",
+  "grade.cell": "Celda",
+
+  // ==== Mensajes de la página (consola) ====
+  "log.sharedLoaded": "Programa cargado desde el enlace",
+  "log.restored": "Sesión restaurada",
+  "log.sampleLoaded": "Programa de ejemplo cargado",
+  "log.template": "Plantilla insertada: {op} con X e Y",
+  "log.asmErrors": "Errores de ensamblado ({n})",
+  "log.loaded": "Programa compilado y cargado",
+  "log.exported": "Proyecto exportado",
+  "log.importFailed": "No se pudo importar: {error}",
+  "log.imported": "Proyecto importado: {name}",
+  "log.linkCopied": "Enlace copiado al portapapeles",
+  "log.link": "Enlace para compartir: {url}",
+  "log.exercise": "Ejercicio: {title}",
+  "log.graded": "Calificación: {passed}/{total} casos correctos",
+  "log.exerciseFailed": "No se pudo importar el ejercicio: {error}",
+  "log.exerciseImported": "Ejercicio importado: {title}",
+  "log.disassembled": "Memoria desensamblada en el editor",
+
+  // ==== CPU (step) ====
+  "cpu.halted": "CPU detenida",
+  "cpu.fetch": "FETCH @{pc}: {instr}",
+  "cpu.decode": "DECODE: {instr}",
+  "cpu.exec": "EXEC: {op}",
+  "cpu.hlt": "EXEC: HLT (CPU detenida)",
+  "cpu.immediate": "EXEC: {op} #{arg} → {reg}={value}",
+  "cpu.register": "EXEC: {op} → {reg}={value}",
+  "cpu.loadi": "EXEC: LOADI [{addr}] → ACC={acc}",
+  "cpu.write": "EXEC: {op} ACC({acc}) → [{addr}]",
+  "cpu.aluMem": "EXEC: {op} [{addr}]={data} → ACC={acc}",
+  "cpu.divZero": "EXEC: DIV #{arg} (÷0) → ACC=0",
+  "cpu.jump": "EXEC: {op} → PC={addr}",
+  "cpu.jumpIf": "EXEC: {op} ({cond}) → PC={addr}",
+  "cpu.flagsPositive": "N=0 y Z=0",
+  "cpu.noJump": "EXEC: {op} (no salta)",
+  "cpu.pop": "EXEC: POP [{addr}] → ACC={acc}",
+  "cpu.call": "EXEC: CALL → PC={addr} (retorno {ret} en [{slot}])",
+  "cpu.out": "EXEC: OUT → {value}",
+  "cpu.data": "EXEC: DATA (sin efecto)",
+  "cpu.inputWait": "IN: cola vacía, esperando entrada",
+  "cpu.inputEmpty": "ERROR: IN con la cola de entrada vacía",
+  "cpu.stackOverflow": "ERROR: desbordamiento de pila (SP={sp}, límite {limit})",
+  "cpu.stackUnderflow": "ERROR: pila vacía",
+  "cpu.invalid": "ERROR: instrucción inválida",
+  "cpu.unknownOp": "ERROR: op desconocida {op}",
+  "cpu.strict": "ERROR: {alert} (modo estricto)",
+  "cpu.noChange": "(sin cambio)",
+  "cpu.interrupt": "INTERRUPCIÓN ({source}): PC={ret}, banderas y ACC apilados en [{slot}], IE=0 → PC=M[{vector}]={isr}",
+  "cpu.iret": "EXEC: IRET → ACC={acc}, banderas restauradas, PC={addr}, IE=1",
+  "cpu.timer": "EXEC: TMR → interrupción cada {period} instrucciones",
+  "cpu.timerOff": "EXEC: TMR → temporizador apagado",
+
+  "irq.external": "externa",
+  "irq.timer": "temporizador",
+
+  "alert.WRITE_CODE": "escritura sobre código en [{addr}]",
+  "alert.EXEC_DATA": "ejecución de datos en [{addr}]",
+
+  // ==== Microoperaciones (RTL) ====
+  "rtl.operand": "IR.operando",
+  "rtl.ea": "DE",
+  "rtl.assign": "{dst} ← {src}",
+  "rtl.set": "{dst} ← {src} ({value})",
+  "rtl.alu": "ACC ← ACC {sym} {src} ({value})",
+  "rtl.eaIndexed": "DE ← IR.operando + IX ({base} + {ix} = {ea})",
+  "rtl.in": "ACC ← ENTRADA ({value})",
+  "rtl.out": "SALIDA ← ACC ({value})",
+  "rtl.condFalse": "{op}: condición falsa",
+  "rtl.fault": "Control: FALLO",
+  "rtl.decode": "Decodificador ← IR ({op})",
+  "rtl.decodeMode": "Decodificador ← IR ({op}, modo {mode})",
+  "rtl.inWait": "IN: esperando entrada",
+  "rtl.exec": "Ejecuta {op}",
+  "rtl.irq": "Control: INT ({source})",
+  "rtl.vector": "vector",
+
+  // ==== Juego de instrucciones (ayuda) ====
+  "isa.opcode": "Opcode",
+  "isa.mnemonic": "Mnemónico",
+  "isa.operand": "Operando",
+  "isa.description": "Descripción",
+  "isa.kind.none": "—",
+  "isa.kind.immediate": "n",
+  "isa.kind.address": "dir · @dir · dir,IX",
+  "isa.custom": "del curso",
+
+  // ==== Dispositivos de E/S ====
+  "dev.leds": "Barra de LEDs",
+  "dev.sevenSeg": "Display de 7 segmentos",
+  "dev.terminal": "Terminal",
+  "dev.base": "Dirección",
+  "dev.help": "Cada dispositivo ocupa celdas reservadas por debajo del vector [{limit}]: STORE lo maneja y LOADI lo lee. Una dirección que se superpone con otro dispositivo o no entra no se aplica.",
+  "dev.ledsHint": "STORE {base}: un LED por bit del valor",
+  "dev.sevenSegHint": "STORE {base}: muestra el valor en decimal",
+  "dev.terminalHint": "STORE {base}: escribe un carácter (ASCII; 10 = nueva línea, 8 = borra) · LOADI {base}: toma una tecla (0 = ninguna) · LOADI {status}: teclas pendientes · STORE {status}: borra la pantalla",
+  "dev.keysPlaceholder": "texto (se envía con un salto de línea)",
+  "dev.send": "Enviar",
+  "dev.keysPending": "{n} teclas en el búfer",
+
+  // ==== Caché ====
+  "cache.enabled": "Usar caché",
+  "cache.lines": "Líneas",
+  "cache.blockSize": "Palabras por bloque",
+  "cache.mapping": "Correspondencia",
+  "cache.ways": "{n} vías",
+  "cache.direct": "directa",
+  "cache.write": "Escritura",
+  "cache.back": "Write-back",
+  "cache.through": "Write-through",
+  "cache.line": "Línea",
+  "cache.set": "Conj.",
+  "cache.tag": "Etiqueta",
+  "cache.block": "Bloque (direcciones)",
+  "cache.data": "Datos",
+  "cache.off": "Sin caché: la CPU accede directo a la memoria. Actívala para ver aciertos y fallos.",
+  "cache.counters": "{accesses} accesos · {hits} aciertos · {misses} fallos ({hitRate} de aciertos) · {writebacks} write-backs",
+  "cache.traffic": "Memoria ↔ caché: {memReads} palabras leídas, {memWrites} escritas · tiempo medio de acceso {amat} ciclos (fallo = {penalty})",
+  "cache.hit": "acierto",
+  "cache.miss": "fallo",
+  "cache.evict": "desaloja la etiqueta {tag}",
+  "cache.evictDirty": "desaloja la etiqueta {tag} (sucia: write-back)",
+  "cache.noAllocate": "sin asignación: directo a memoria",
+  "cache.kind.fetch": "Fetch",
+  "cache.kind.read": "Lectura",
+  "cache.kind.write": "Escritura",
+  "cache.none": "(sin accesos en este paso)",
+
+  // ==== Pipeline ====
+  "pipe.instr": "Instrucción",
+  "pipe.flushed": "(descartada)",
+  "pipe.summary": "{cycles} ciclos con pipeline vs. {sequential} sin pipeline → ×{speedup} (CPI {cpi})",
+  "pipe.counts": "Control: {flushes} vaciados, {bubbles} burbujas · Datos: {stalls} esperas, {forwards} adelantamientos",
+  "pipe.none": "(ejecuta el programa para ver el diagrama)",
+  "pipe.legend": "F/D/E: etapa · S: burbuja · X: descartada (salto tomado o interrupción)",
+  "pipe.window": "Últimas {n} instrucciones",
+  "pipe.flush": "{op} @{pc} saltó a {target}: se descartan las 2 instrucciones traídas detrás",
+  "pipe.jumpStall": "{op} @{pc}: destino conocido en Decode, 1 ciclo de burbuja",
+  "pipe.regStall": "{op} @{pc} lee {reg} que escribe {prev}: espera 1 ciclo",
+  "pipe.memStall": "{op} @{pc} lee [{addr}] que escribe {prev}: espera 1 ciclo",
+  "pipe.forward": "{op} @{pc} recibe {reg} de {prev} por adelantamiento",
+  "pipe.interrupt": "Interrupción tras {op} @{pc}: salta a la rutina en {target} y se descartan las 2 instrucciones traídas detrás",
+
+  // ==== Simulador y depuración ====
+  "sim.waitInput": "⏸ IN: ingresa un valor en la cola de entrada",
+  "sim.paused": "⏸ {reason}",
+  "sim.back": "⟲ Regreso al ciclo {cycle}",
+  "sim.seek": "⟲ Ciclo {cycle}",
+  "sim.memSize": "Memoria: {size} celdas",
+  "sim.memStack": "Memoria: {size} celdas (las {depth} palabras de la pila se movieron al final: SP={sp})",
+  "sim.memStackReset": "Memoria: {size} celdas (las {depth} palabras de la pila no entran en la nueva región: la pila quedó vacía)",
+  "sim.wordBits": "Palabra de {bits} bits",
+  "sim.cache": "Caché: {lines} líneas de {blockSize} palabras, correspondencia {mapping}, write-{writePolicy} (vacía)",
+  "sim.cacheOff": "Caché desactivada",
+  "sim.irq": "Interrupción externa pedida: se atiende tras el próximo Execute",
+  "sim.irqMasked": "Interrupción externa pendiente (IE=0: espera un EI)",
+  "sim.irqBusy": "Ya hay una interrupción pendiente ({source})",
+  "sim.timer": "Temporizador: interrupción cada {period} instrucciones",
+  "sim.timerOff": "Temporizador apagado",
+  "sim.vectorMoved": "Vector de interrupción: M[{from}] → M[{to}] = {isr}",
+  "sim.vectorStale": "El vector de interrupción pasó a la celda {to}, que está ocupada: vuelve a ensamblar para ubicar la rutina",
+  "sim.devices": "Dispositivos de E/S: {n} (pantalla y teclado vacíos)",
+  "sim.devicesOff": "Sin dispositivos de E/S",
+  "sim.keys": "Teclado: {n} teclas en el búfer",
+
+  "debug.runTo": "Cursor alcanzado en [{addr}]",
+  "debug.breakpoint": "Breakpoint en [{addr}]",
+  "debug.watchWrite": "Watchpoint: escritura en [{addr}] = {value}",
+  "debug.watchAcc": "Watchpoint: ACC {cond} {value} (ACC={acc})",
+
+  // ==== Ensamblador ====
+  "asm.at": "Línea {line}, col {col}: {text}",
+  "asm.duplicate": "Símbolo duplicado: {name} (ya definido en la línea {first})",
+  "asm.badLabel": "Etiqueta inválida: {name}:",
+  "asm.noOperands": "{name} no lleva operandos",
+  "asm.wordValue": ".word necesita al menos un valor",
+  "asm.equValue": ".equ necesita NOMBRE y valor",
+  "asm.badConst": "Nombre de constante inválido: {name}",
+  "asm.extraOperand": "Operando inesperado: {text}",
+  "asm.unknownDirective": "Directiva desconocida: {name}",
+  "asm.unknownOp": "Instrucción desconocida: {name}",
+  "asm.noOperand": "{op} no lleva operando",
+  "asm.needsOperand": "{op} necesita un operando",
+  "asm.immediateOnly": "{op} solo admite operando inmediato (sin @ ni IX)",
+  "asm.circular": "Definición circular de {name}",
+  "asm.badOperand": "Operando inválido: {text}",
+  "asm.undefined": "Símbolo no definido: {name}",
+  "asm.tooLarge": "El programa y sus datos ocupan {size} celdas; la memoria tiene {memSize}",
+  "asm.range": "Operando fuera de rango en {op}: {value} (admite {min}..{max})",
+  "asm.stackOverlap": "El programa ocupa {size} celdas e invade la pila (celdas {limit}–{last})",
+  "asm.vectorValue": ".vector necesita la etiqueta de la rutina de interrupción",
+  "asm.vectorTwice": ".vector repetido (ya definido en la línea {first})",
+  "asm.vectorOverlap": "El programa ocupa {size} celdas e invade el vector de interrupción [{vector}]",
+  "asm.deviceOverlap": "El programa ocupa {size} celdas e invade {device} (celdas {from}–{to})",
+
+  // ==== Proyectos, ejercicios y calificación ====
+  "project.notJson": "El archivo no es JSON válido",
+  "project.notObject": "El proyecto debe ser un objeto",
+  "project.version": "Versión de proyecto no soportada ({version})",
+  "project.badMemSize": "Tamaño de memoria inválido ({memSize})",
+  "project.memoryArray": "memory debe ser un arreglo",
+  "project.varsObject": "vars debe ser un objeto { NOMBRE: valor }",
+
+  "exercise.notJson": "El ejercicio no es JSON válido",
+  "exercise.notObject": "El ejercicio debe ser un objeto",
+  "exercise.noCases": "El ejercicio no tiene casos",
+  "exercise.noExpect": "Caso {n}: falta expect.outputs o expect.memory",
+  "exercise.outputsArray": "Caso {n}: expect.outputs debe ser un arreglo",
+  "exercise.inputsArray": "Caso {n}: inputs debe ser un arreglo de números",
+  "exercise.caseObject": "Caso {n}: {key} debe ser un objeto { celda: valor }",
+  "exercise.badBudget": "maxInstructions debe ser un entero positivo ({value})",
+  "exercise.untitled": "Ejercicio",
+
+  "grade.case": "Caso {n}",
+  "grade.asm": "No ensambla",
+  "grade.unknownCell": "Celda desconocida: {key}",
+  "grade.pass": "Correcto",
+  "grade.mismatch": "Resultado distinto al esperado",
+  "grade.ended": "Terminó por {status}",
+  "grade.endedFault": "Terminó por {status} ({fault})",
+  "grade.status.halted": "HLT",
+  "grade.status.fault": "error de ejecución",
+  "grade.status.budget": "presupuesto de instrucciones agotado",
+  "grade.status.waiting": "IN sin valores en la cola",
+
+  // ==== Línea de comandos (vnsim) ====
+  "cli.usage": "Uso: vnsim <programa.asm | imagen.json> [--max-instr N] [--mem-size N] [--word-bits 8|16] [--var NOMBRE=valor] [--input 1,2,3] [--on-empty pause|fault] [--trace text|json|csv] [--strict] [--stats] [--pipeline] [--no-forwarding] [--cache L:B[:V[:wb|wt]]] [--timer N] [--device TIPO[@DIR]] [--keys TEXTO] [--disasm] [--exercise ej.json] [--lang es|en]",
+  "cli.positiveInt": "{name} debe ser un entero positivo: {value}",
+  "cli.lang": "--lang debe ser {langs}: {value}",
+  "cli.trace": "--trace debe ser \"text\", \"json\" o \"csv\"",
+  "cli.onEmpty": "--on-empty debe ser \"pause\" o \"fault\"",
+  "cli.input": "--input espera números separados por comas: {value}",
+  "cli.wordBits": "--word-bits debe ser {sizes}",
+  "cli.timer": "--timer admite hasta {max} instrucciones: {value}",
+  "cli.var": "--var espera NOMBRE=valor: {value}",
+  "cli.cache": "--cache espera LÍNEAS:BLOQUE[:VÍAS[:wb|wt]] con líneas {lines}, bloque {blocks} y vías {ways}: {value}",
+  "cli.device": "--device espera {types}[@DIR]: {value}",
+  "cli.deviceInvalid": "--device {type}@{base}: repetido, superpuesto o fuera de [0, {limit})",
+  "cli.keys": "--keys necesita --device terminal",
+  "cli.exerciseOption": "{option} no se combina con --exercise: memSize, wordBits y vars se definen en el ejercicio",
+  "cli.readError": "No se pudo leer {file}: {error}",
+  "cli.badJson": "{file}: JSON inválido ({error})",
+  "cli.badImage": "{file}: se esperaba un arreglo de celdas o { \"memory\": [...] }",
+  "cli.fault": "{fault} en PC={pc}: {ir}",
+  "cli.fault.INVALID": "Instrucción inválida",
+  "cli.fault.STACK_OVERFLOW": "Desbordamiento de pila",
+  "cli.fault.STACK_UNDERFLOW": "POP/RET con la pila vacía",
+  "cli.fault.INPUT_EMPTY": "IN con la cola de entrada vacía",
+  "cli.fault.WRITE_CODE": "Escritura sobre código (modo estricto)",
+  "cli.fault.EXEC_DATA": "Ejecución de datos (modo estricto)",
+  "cli.budget": "Presupuesto agotado: {n} instrucciones sin HLT",
+  "cli.waiting": "IN sin valores en la cola (PC={pc}); usa --input",
+  "cli.stats": "Ciclos: {cycles} · Instrucciones: {instructions} · CPI: {cpi}",
+  "cli.accesses": "Accesos: {accesses} (instrucciones {fetch}, lecturas de datos {reads}, escrituras {writes})",
+  "cli.byOp": "Por opcode: {ops}",
+  "cli.harvard": "Harvard: {cycles} ciclos · CPI: {cpi} ({overlaps} Fetch en paralelo con datos, ×{speedup})",
+  "cli.cacheCounters": "Caché: {accesses} accesos · {hits} aciertos · {misses} fallos ({rate}%) · {writebacks} write-backs",
+  "cli.cacheTraffic": "Memoria ↔ caché: {memReads} palabras leídas, {memWrites} escritas · AMAT {amat} ciclos",
+  "cli.leds": "LEDs [{base}]: {bits}",
+  "cli.sevenSeg": "Display [{base}]: {value}",
+  "cli.diff": "{what}: esperado {expected}, obtenido {actual}",
+  "cli.total": "{passed}/{total} casos correctos",
+};
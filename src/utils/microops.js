@@ -0,0 +1,262 @@
+import {
+  ADDRESS_OPS,
+  effectiveAddress,
+  instrText,
+  interruptVector,
+  parseData,
+  parseInstr,
+  step,
+} from "./cpuHelpers.js";
+import { msg } from "./i18n.js";
+import { ISA, JUMP_OPS } from "./isa.js";
+import { deviceRead } from "./devices.js";
+import { IRQ_FRAME } from "./interrupts.js";
+import { formatFlags } from "./alu.js";
+
+/* =========================================================
+   Nivel de transferencia de registros (RTL)
+   Descompone cada fase de step() en microoperaciones con MAR, MDR y los
+   buses de direcciones, datos y control:
+     Fetch:  MAR ← PC · READ · MDR ← M[MAR] · IR ← MDR
+     Interrupt: apila PC, FLAGS y ACC · IE ← 0 · PC ← M[vector]
+   Cada microoperación: { text, bus, dir, value, mar, mdr }
+     text → notación RTL ("MAR ← PC") o, si lleva palabras, un mensaje
+            "rtl.*" que se traduce al mostrarlo (ver i18n.js)
+     bus → "address" | "data" | "control" | "internal"
+     dir → "to-mem" | "to-cpu" | null (sentido en el bus)
+     mar / mdr → valor de los registros tras la microoperación
+   ========================================================= */
+
+const ALU_SYMBOL = { ADD: "+", SUB: "−", MUL: "×", DIV: "÷", ADDM: "+", SUBM: "−" };
+const OPERAND = msg("rtl.operand"); // IR.operando
+const EA = msg("rtl.ea");           // Dirección efectiva
+
+// Lo que llega al MDR: la celda o, si la atiende un dispositivo, su registro
+const readValue = (state, addr) => deviceRead(state.io, addr) ?? parseData(state.memory[addr]);
+
+// Acumula microoperaciones arrastrando los valores de MAR/MDR
+function builder(prev) {
+  const ops = [];
+  let mar = prev.mar ?? 0;
+  let mdr = prev.mdr ?? 0;
+  const add = (text, bus = "internal", dir = null, value = null) => ops.push({ text, bus, dir, value, mar, mdr });
+  return {
+    ops,
+    add,
+    // MAR ← addr (bus de direcciones)
+    setMar(addr, source) {
+      mar = addr;
+      add(msg("rtl.assign", { dst: "MAR", src: source }), "address", "to-mem", addr);
+    },
+    // READ + MDR ← M[MAR] (bus de datos, memoria → CPU)
+    read(value) {
+      add("READ", "control", "to-mem", "READ");
+      mdr = value;
+      add("MDR ← M[MAR]", "data", "to-cpu", value);
+    },
+    // MDR ← fuente, WRITE + M[MAR] ← MDR (bus de datos, CPU → memoria)
+    write(value, source) {
+      mdr = value;
+      add(`MDR ← ${source}`, "internal", null, value);
+      add("WRITE", "control", "to-mem", "WRITE");
+      add("M[MAR] ← MDR", "data", "to-mem", value);
+    },
+  };
+}
+
+// Microoperaciones de la fase Execute según la instrucción
+function executeOps(b, prev, next, p) {
+  const { op, args } = p;
+  const ea = ADDRESS_OPS.has(op) ? effectiveAddress(p, prev) : null;
+
+  // Dirección efectiva: indirecto lee el puntero; indexado suma IX
+  if (p.mode === "indirect") {
+    b.setMar(args[0], OPERAND);
+    b.read(parseData(prev.memory[args[0]]));
+    b.add(msg("rtl.set", { dst: EA, src: "MDR", value: ea }));
+  } else if (p.mode === "indexed") {
+    b.add(msg("rtl.eaIndexed", { base: args[0], ix: prev.ix ?? 0, ea }));
+  }
+  const eaSrc = p.mode && p.mode !== "direct" ? EA : OPERAND;
+
+  switch (op) {
+    case "LOAD":
+      b.add(msg("rtl.set", { dst: "ACC", src: OPERAND, value: next.acc }));
+      break;
+    case "ADD":
+    case "SUB":
+    case "MUL":
+    case "DIV":
+      b.add(msg("rtl.alu", { sym: ALU_SYMBOL[op], src: OPERAND, value: next.acc }));
+      break;
+    case "LOADI":
+    case "ADDM":
+    case "SUBM":
+      b.setMar(ea, eaSrc);
+      b.read(readValue(prev, ea));
+      b.add(op === "LOADI" ? `ACC ← MDR (${next.acc})` : `ACC ← ACC ${ALU_SYMBOL[op]} MDR (${next.acc})`);
+      break;
+    case "STORE":
+      b.setMar(ea, eaSrc);
+      b.write(prev.acc, "ACC");
+      break;
+    case "PUSH":
+      b.add(`SP ← SP − 1 (${next.sp})`);
+      b.setMar(next.sp, "SP");
+      b.write(prev.acc, "ACC");
+      break;
+    case "POP":
+      b.setMar(prev.sp, "SP");
+      b.read(parseData(prev.memory[prev.sp]));
+      b.add(`ACC ← MDR (${next.acc})`);
+      b.add(`SP ← SP + 1 (${next.sp})`);
+      break;
+    case "CALL":
+      b.add(`SP ← SP − 1 (${next.sp})`);
+      b.setMar(next.sp, "SP");
+      b.write(prev.pc + 1, "PC + 1");
+      b.add(msg("rtl.set", { dst: "PC", src: eaSrc, value: next.pc }));
+      return;
+    case "RET":
+      b.setMar(prev.sp, "SP");
+      b.read(parseData(prev.memory[prev.sp]));
+      b.add(`PC ← MDR (${next.pc})`);
+      b.add(`SP ← SP + 1 (${next.sp})`);
+      return;
+    case "IN":
+      b.add(msg("rtl.in", { value: next.acc }), "control", "to-cpu", next.acc);
+      break;
+    case "OUT":
+      b.add(msg("rtl.out", { value: prev.acc }), "control", "to-mem", prev.acc);
+      break;
+    case "LDX":
+      b.add(msg("rtl.set", { dst: "IX", src: OPERAND, value: next.ix }));
+      break;
+    case "INX":
+    case "DEX":
+      b.add(`IX ← IX ${op === "INX" ? "+" : "−"} 1 (${next.ix})`);
+      break;
+    case "TAX":
+      b.add(`IX ← ACC (${next.ix})`);
+      break;
+    case "TXA":
+      b.add(`ACC ← IX (${next.acc})`);
+      break;
+    case "HLT":
+      b.add("Control: HALT", "control", null, "HLT");
+      return;
+    case "EI":
+    case "DI":
+      b.add(`IE ← ${op === "EI" ? 1 : 0}`);
+      break;
+    case "TMR":
+      b.add(msg("rtl.set", { dst: "TIMER", src: OPERAND, value: next.timer?.period ?? 0 }));
+      break;
+    case "IRET":
+      if (next.fault) break;
+      [...IRQ_FRAME].reverse().forEach((reg, k) => {
+        b.setMar(prev.sp + k, k ? `SP + ${k}` : "SP");
+        b.read(parseData(prev.memory[prev.sp + k]));
+        const value = { ACC: next.acc, FLAGS: formatFlags(next.flags), PC: next.pc }[reg];
+        b.add(`${reg} ← MDR (${value})`);
+      });
+      b.add(`SP ← SP + ${IRQ_FRAME.length} (${next.sp})`);
+      b.add("IE ← 1");
+      return;
+    default:
+      if (JUMP_OPS.has(op)) {
+        if (next.pc !== prev.pc + 1 || op === "JMP") {
+          b.add(msg("rtl.set", { dst: "PC", src: eaSrc, value: next.pc }));
+          return;
+        }
+        b.add(msg("rtl.condFalse", { op }));
+      } else if (op === "INVALID" || next.fault) {
+        b.add(msg("rtl.fault"), "control", null, next.fault ?? "INVALID");
+        return;
+      } else if (ISA[op]) {
+        customOps(b, prev, next, ISA[op], ea, eaSrc);
+        if (next.pc !== prev.pc + 1) {
+          b.add(msg("rtl.set", { dst: "PC", src: eaSrc, value: next.pc }));
+          return;
+        }
+      }
+  }
+  if (next.fault) {
+    b.add(msg("rtl.fault"), "control", null, next.fault);
+    return;
+  }
+  b.add(`PC ← PC + 1 (${next.pc})`);
+}
+
+// Instrucción registrada en isa.js sin caso propio: los accesos que declara
+// (memory / stack) y un paso interno genérico
+function customOps(b, prev, next, entry, ea, eaSrc) {
+  const { mnemonic, memory, stack } = entry;
+  if (memory === "read") {
+    b.setMar(ea, eaSrc);
+    b.read(readValue(prev, ea));
+  } else if (memory === "write") {
+    b.setMar(ea, eaSrc);
+    b.write(parseData(next.memory[ea]), mnemonic);
+  }
+  if (stack === "push") {
+    b.add(`SP ← SP − 1 (${next.sp})`);
+    b.setMar(next.sp, "SP");
+    b.write(parseData(next.memory[next.sp]), mnemonic);
+  } else if (stack === "pop") {
+    b.setMar(prev.sp, "SP");
+    b.read(parseData(prev.memory[prev.sp]));
+    b.add(`SP ← SP + 1 (${next.sp})`);
+  }
+  b.add(msg("rtl.exec", { op: mnemonic }));
+}
+
+// Entrada a la rutina de interrupción: apila PC, banderas y ACC, apaga IE y lee el vector
+function interruptOps(b, prev, next) {
+  if (next.fault) {
+    b.add(msg("rtl.fault"), "control", null, next.fault);
+    return;
+  }
+  const vector = interruptVector(prev.memory.length);
+  b.add(msg("rtl.irq", { source: msg(`irq.${prev.irq}`) }), "control", "to-cpu", prev.irq);
+  IRQ_FRAME.forEach((reg, k) => {
+    b.add(`SP ← SP − 1 (${prev.sp - 1 - k})`);
+    b.setMar(prev.sp - 1 - k, "SP");
+    b.write(parseData(next.memory[prev.sp - 1 - k]), reg);
+  });
+  b.add("IE ← 0");
+  b.setMar(vector, msg("rtl.vector"));
+  b.read(parseData(prev.memory[vector]));
+  b.add(`PC ← MDR (${next.pc})`);
+}
+
+/* Microoperaciones del paso prev → next (mismo par que produce step()) */
+export function microOps(prev, next) {
+  const b = builder(prev);
+  if (next === prev || prev.halted) return b.ops;
+
+  if (next.phase === "Interrupt") {
+    interruptOps(b, prev, next);
+  } else if (prev.phase === "Idle" || prev.phase === "Execute" || prev.phase === "Interrupt") {
+    b.setMar(prev.pc, "PC");
+    b.read(prev.memory[prev.pc] ?? "");
+    b.add(`IR ← MDR (${instrText(next.ir)})`);
+  } else if (prev.phase === "Fetch") {
+    const p = parseInstr(prev.ir);
+    b.add(p.mode && p.mode !== "direct" ? msg("rtl.decodeMode", { op: p.op, mode: p.mode }) : msg("rtl.decode", { op: p.op }));
+  } else if (next.waitingInput) {
+    b.add(msg("rtl.inWait"), "control", "to-cpu", null);
+  } else {
+    executeOps(b, prev, next, parseInstr(prev.ir));
+  }
+  return b.ops;
+}
+
+/* step() + microoperaciones; deja MAR/MDR del último micro-paso en el estado */
+export function stepRTL(state) {
+  const { state: next, lastAction } = step(state);
+  const micro = microOps(state, next);
+  if (micro.length === 0) return { state: next, lastAction, micro };
+  const { mar, mdr } = micro[micro.length - 1];
+  return { state: { ...next, mar, mdr }, lastAction, micro };
+}
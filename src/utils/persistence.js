@@ -0,0 +1,159 @@
+import { defaultMemSize, interruptVector, memSizeOptions, resizeMemory } from "./cpuHelpers.js";
+import { WORD_SIZES, defaultWordBits } from "./alu.js";
+import { assemble } from "./assembler.js";
+import { msg } from "./i18n.js";
+import { ARCHITECTURES, DEFAULT_ARCH } from "./harvard.js";
+import { DEFAULT_CACHE_CONFIG, normalizeCacheConfig } from "./cache.js";
+import { normalizeTimerPeriod } from "./interrupts.js";
+import { normalizeDevices } from "./devices.js";
+
+/* =========================================================
+   Proyectos: guardar, cargar y compartir sesiones
+   - Proyecto = { version, programText, vars, memory, memSize, speedMs,
+                  inputs, wordBits, arch, cache, timer, devices, stats? } (JSON exportable/importable)
+     arch = "vonNeumann" | "harvard" (cómo se muestra la memoria, ver harvard.js)
+     cache = configuración de la caché (ver cache.js)
+     timer = período inicial del temporizador de interrupciones (0 = apagado)
+     devices = dispositivos de E/S [{ type, base }] (ver devices.js)
+     stats = resumen de la ejecución al exportar (informativo: al importar
+     la CPU arranca de cero)
+   - Autoguardado en localStorage bajo STORAGE_KEY
+   - Enlace compartible: "#p=<base64url>" con el programa, las variables
+     y el tamaño de memoria; al abrirlo se ensambla y se carga
+   ========================================================= */
+
+export const PROJECT_VERSION = 1;
+export const STORAGE_KEY = "vnsim:project";
+const SHARE_PREFIX = "#p=";
+const DEFAULT_SPEED_MS = 600;
+
+// Arma un proyecto con los valores por defecto para lo que falte
+export function createProject({
+  programText = "", vars = {}, memory, memSize, speedMs = DEFAULT_SPEED_MS, inputs = [], wordBits = defaultWordBits, arch = DEFAULT_ARCH, cache = DEFAULT_CACHE_CONFIG, timer = 0, devices = [], stats,
+} = {}) {
+  const size = memSize ?? memory?.length ?? defaultMemSize;
+  return {
+    version: PROJECT_VERSION,
+    programText,
+    vars,
+    memory: resizeMemory(memory ?? [], size),
+    memSize: size,
+    speedMs,
+    inputs,
+    wordBits,
+    arch,
+    cache,
+    timer,
+    devices,
+    ...(stats ? { stats } : {}),
+  };
+}
+
+/* Valida un proyecto leído de JSON (texto u objeto).
+   Devuelve { ok: true, project } o { ok: false, error } (error = mensaje, ver i18n.js) */
+export function parseProject(data) {
+  let obj = data;
+  if (typeof data === "string") {
+    try {
+      obj = JSON.parse(data);
+    } catch {
+      return { ok: false, error: msg("project.notJson") };
+    }
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return { ok: false, error: msg("project.notObject") };
+  if (obj.version > PROJECT_VERSION) return { ok: false, error: msg("project.version", { version: obj.version }) };
+
+  const memSize = obj.memSize ?? obj.memory?.length ?? defaultMemSize;
+  if (!memSizeOptions.includes(memSize)) return { ok: false, error: msg("project.badMemSize", { memSize }) };
+  if (obj.memory !== undefined && !Array.isArray(obj.memory)) return { ok: false, error: msg("project.memoryArray") };
+  if (obj.vars !== undefined && (typeof obj.vars !== "object" || Array.isArray(obj.vars))) {
+    return { ok: false, error: msg("project.varsObject") };
+  }
+
+  return {
+    ok: true,
+    project: createProject({
+      programText: typeof obj.programText === "string" ? obj.programText : "",
+      vars: obj.vars ?? {},
+      memory: (obj.memory ?? []).map((c) => (typeof c === "number" || typeof c === "string" ? c : "")),
+      memSize,
+      speedMs: Number.isFinite(obj.speedMs) ? obj.speedMs : DEFAULT_SPEED_MS,
+      inputs: Array.isArray(obj.inputs) ? obj.inputs.filter(Number.isFinite) : [],
+      wordBits: WORD_SIZES.includes(obj.wordBits) ? obj.wordBits : defaultWordBits,
+      arch: ARCHITECTURES.includes(obj.arch) ? obj.arch : DEFAULT_ARCH,
+      cache: normalizeCacheConfig(obj.cache),
+      timer: normalizeTimerPeriod(obj.timer),
+      devices: normalizeDevices(obj.devices, interruptVector(memSize)),
+    }),
+  };
+}
+
+export function projectToJSON(project) {
+  return JSON.stringify(project, null, 2);
+}
+
+// ==== localStorage (sin almacenamiento disponible no hace nada) ====
+export function saveLocal(project, storage = globalThis.localStorage) {
+  try {
+    storage?.setItem(STORAGE_KEY, JSON.stringify(project));
+    return true;
+  } catch {
+    return false; // Cuota llena o almacenamiento bloqueado
+  }
+}
+
+export function loadLocal(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const r = parseProject(raw);
+    return r.ok ? r.project : null;
+  } catch {
+    return null;
+  }
+}
+
+// ==== Enlace compartible ====
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  bytes.forEach((b) => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(b64) {
+  const bin = atob(b64.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+/* Hash compacto con claves cortas: t = programa, v = variables, m = tamaño de memoria */
+export function encodeShare({ programText, vars, memSize }) {
+  const payload = { t: programText };
+  if (vars && Object.keys(vars).length) payload.v = vars;
+  if (memSize && memSize !== defaultMemSize) payload.m = memSize;
+  return SHARE_PREFIX + toBase64Url(JSON.stringify(payload));
+}
+
+/* Hash "#p=..." → proyecto con el programa ya ensamblado en memoria.
+   Devuelve null si el hash no es un enlace compartido válido.
+   Si el programa no ensambla, la memoria queda vacía (los errores se ven al compilar). */
+export function decodeShare(hash) {
+  if (!hash?.startsWith(SHARE_PREFIX)) return null;
+  let obj;
+  try {
+    obj = JSON.parse(fromBase64Url(hash.slice(SHARE_PREFIX.length)));
+  } catch {
+    return null;
+  }
+  if (!obj || typeof obj.t !== "string") return null;
+
+  const memSize = memSizeOptions.includes(obj.m) ? obj.m : defaultMemSize;
+  const vars = obj.v && typeof obj.v === "object" ? obj.v : {};
+  const asm = assemble(obj.t, { memSize, vars });
+  return createProject({ programText: obj.t, vars, memSize, memory: asm.ok ? asm.memory : [] });
+}
+
+// URL completa para compartir (base = página actual sin hash)
+export function shareUrl(project, base) {
+  return base.split("#")[0] + encodeShare(project);
+}
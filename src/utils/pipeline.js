@@ -0,0 +1,150 @@
+import { instrText, parseInstr } from "./cpuHelpers.js";
+import { ISA } from "./isa.js";
+import { msg } from "./i18n.js";
+
+/* =========================================================
+   Pipeline de 3 etapas (Fetch · Decode · Execute)
+   La CPU sigue siendo step(): el resultado de cada instrucción es el mismo.
+   Lo que cambia es el tiempo: a partir de las instrucciones completadas
+   (eventos Execute de la traza) se arma el diagrama instrucción × ciclo
+   con varias instrucciones en vuelo a la vez.
+   - Fetch: trae la instrucción siguiente (se supone PC + 1)
+   - Decode: decodifica y lee los operandos (ACC, IX, SP y la memoria)
+   - Execute: ALU, escritura de resultados y resolución de saltos
+   Riesgos:
+   - Control: un salto tomado se resuelve en Execute y descarta las dos
+     instrucciones traídas detrás (flush); los incondicionales directos
+     (JMP/CALL, "unconditional" en isa.js) conocen el destino en Decode y
+     cuestan una sola burbuja (stall). Una interrupción atendida tras una
+     instrucción también la vacía (salta a la rutina)
+   - Datos: la instrucción en Decode lee algo que la de Execute todavía
+     escribe. Registros (ACC, IX, SP y FLAGS, las banderas que leen los
+     saltos condicionales): con adelantamiento (forwarding) no espera; sin
+     él, un ciclo. Memoria: siempre un ciclo (no hay adelantamiento)
+   Celdas del diagrama: "F", "D", "E", "S" (burbuja) y "X" (descartada)
+   ========================================================= */
+
+export const PIPE_STAGES = ["F", "D", "E"];
+const SEQUENTIAL_CPI = 3; // Sin pipeline: Fetch, Decode y Execute uno tras otro
+
+// Instrucciones completadas según la traza (sin fallos ni notas de la UI).
+// Si después se atendió una interrupción, la siguiente es la de la rutina (interrupt: true)
+export function retiredFromTrace(events) {
+  const instrs = [];
+  events.forEach((e) => {
+    if (e.kind !== "cpu" || e.fault) return;
+    const last = instrs[instrs.length - 1];
+    if (e.phase === "Interrupt" && last) {
+      instrs[instrs.length - 1] = { ...last, nextPc: e.nextPc, interrupt: true };
+    } else if (e.phase === "Execute") {
+      instrs.push({
+        pc: e.pc,
+        nextPc: e.nextPc,
+        op: e.op,
+        ir: e.ir,
+        mode: parseInstr(e.ir).mode,
+        reads: e.reads ?? [],
+        writes: (e.writes ?? []).map((w) => w.addr),
+      });
+    }
+  });
+  return instrs;
+}
+
+// Registros que la instrucción lee (en Decode) y escribe (en Execute)
+function registers(ins) {
+  const entry = ISA[ins.op];
+  const uses = [...(entry?.uses ?? [])];
+  const sets = [...(entry?.sets ?? [])];
+  if (ins.mode === "indexed") uses.push("IX");
+  if (entry?.stack) {
+    uses.push("SP");
+    sets.push("SP");
+  }
+  return { uses, sets };
+}
+
+// Cómo afecta al Fetch siguiente: null (sigue en PC + 1), "stall" o "flush"
+function controlHazard(ins) {
+  if (ins.interrupt) return "flush";
+  if (ins.nextPc === ins.pc + 1 || ins.op === "HLT") return null;
+  // Salto incondicional directo (tabla del ISA): el destino sale del operando en Decode
+  const decodeResolved = ISA[ins.op]?.unconditional && ins.mode === "direct";
+  return decodeResolved ? "stall" : "flush";
+}
+
+/* Diagrama del pipeline para las instrucciones completadas.
+   Opciones: forwarding (adelantamiento de registros), memory (para mostrar
+   las instrucciones descartadas).
+   Devuelve { rows, hazards, cycles, sequentialCycles, speedup, counts }:
+     rows    → [{ pc, ir, index?, flushed?, cells: { ciclo: "F"|"D"|"E"|"S"|"X" } }]
+     hazards → [{ kind: "control"|"data", cycle, index, message }] (message: ver i18n.js) */
+export function schedulePipeline(instrs, { forwarding = true, memory } = {}) {
+  const rows = [];
+  const hazards = [];
+  const counts = { flushes: 0, bubbles: 0, stalls: 0, forwards: 0 };
+  let prev = null; // { ins, enterD, d, e } de la instrucción anterior
+
+  instrs.forEach((ins, index) => {
+    // Fetch: cuando la anterior pasa a Decode, o después de resolver su salto
+    let f = prev ? prev.enterD : 1;
+    const control = prev && controlHazard(prev.ins);
+    if (control === "stall") {
+      f = prev.d + 1;
+      counts.bubbles++;
+      hazards.push({ kind: "control", cycle: prev.d, index: index - 1, message: msg("pipe.jumpStall", { op: prev.ins.op, pc: prev.ins.pc }) });
+    } else if (control === "flush") {
+      f = prev.e + 1;
+      const wrong = [prev.ins.pc + 1, prev.ins.pc + 2];
+      wrong.forEach((pc, k) => {
+        const cells = k === 0 ? { [prev.enterD]: "F", [prev.e]: "X" } : { [prev.e]: "X" };
+        for (let c = prev.enterD + 1; k === 0 && c < prev.e; c++) cells[c] = "S";
+        rows.push({ pc, ir: memory ? instrText(memory[pc]) : `@${pc}`, flushed: true, cells });
+      });
+      counts.flushes++;
+      const code = prev.ins.interrupt ? "pipe.interrupt" : "pipe.flush";
+      hazards.push({ kind: "control", cycle: prev.e, index: index - 1, message: msg(code, { op: prev.ins.op, pc: prev.ins.pc, target: ins.pc }) });
+    }
+
+    // Decode: cuando la anterior pasa a Execute (o antes no hay lugar)
+    const enterD = Math.max(f + 1, prev ? prev.d + 1 : 0);
+    let d = enterD;
+    if (prev && prev.e >= enterD) {
+      const { uses } = registers(ins);
+      const regs = registers(prev.ins).sets.filter((r) => uses.includes(r));
+      const addrs = prev.ins.writes.filter((a) => ins.reads.includes(a));
+      const info = { op: ins.op, pc: ins.pc, prev: prev.ins.op };
+      if (addrs.length) {
+        d = prev.e + 1;
+        counts.stalls++;
+        hazards.push({ kind: "data", cycle: enterD, index, message: msg("pipe.memStall", { ...info, addr: addrs[0] }) });
+      } else if (regs.length && !forwarding) {
+        d = prev.e + 1;
+        counts.stalls++;
+        hazards.push({ kind: "data", cycle: enterD, index, message: msg("pipe.regStall", { ...info, reg: regs.join(", ") }) });
+      } else if (regs.length) {
+        counts.forwards++;
+        hazards.push({ kind: "data", cycle: enterD, index, message: msg("pipe.forward", { ...info, reg: regs.join(", ") }) });
+      }
+    }
+    const e = d + 1;
+
+    const cells = { [f]: "F", [enterD]: "D", [e]: "E" };
+    for (let c = f + 1; c < enterD; c++) cells[c] = "S";
+    for (let c = enterD + 1; c <= d; c++) cells[c] = "S";
+    rows.push({ pc: ins.pc, ir: ins.ir, index, cells });
+    prev = { ins, enterD, d, e };
+  });
+
+  const cycles = prev ? prev.e : 0;
+  const sequentialCycles = instrs.length * SEQUENTIAL_CPI;
+  return {
+    rows,
+    hazards,
+    counts,
+    cycles,
+    sequentialCycles,
+    cpi: instrs.length ? cycles / instrs.length : 0,
+    speedup: cycles ? sequentialCycles / cycles : 1,
+  };
+}
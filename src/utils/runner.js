@@ -0,0 +1,41 @@
+import { step } from "./cpuHelpers.js";
+
+/* =========================================================
+   Ejecución headless (sin React) sobre step()
+   Avanza fase por fase hasta HLT, error o agotar el presupuesto
+   de instrucciones. Útil para la CLI y para calificar programas.
+   ========================================================= */
+
+export const DEFAULT_MAX_INSTRUCTIONS = 10000;
+
+/* Ejecuta desde "state" hasta que la CPU se detenga.
+   Opciones:
+     maxInstructions → presupuesto de instrucciones completas (Execute)
+     onStep(entry)   → callback por fase: { step, phase, pc, ir, acc, action, state, prev }
+   Devuelve { state, status, steps, instructions }:
+     status → "halted" (HLT) | "fault" (error: instrucción inválida, pila, entrada)
+              | "budget" (presupuesto agotado) | "waiting" (IN sin valores en la cola)
+*/
+export function runProgram(state, { maxInstructions = DEFAULT_MAX_INSTRUCTIONS, onStep } = {}) {
+  let cur = state;
+  let steps = 0;
+  let instructions = 0;
+
+  while (!cur.halted) {
+    // Solo se corta entre instrucciones (antes de un nuevo Fetch)
+    const betweenInstr = cur.phase === "Idle" || cur.phase === "Execute" || cur.phase === "Interrupt";
+    if (betweenInstr && instructions >= maxInstructions) {
+      return { state: cur, status: "budget", steps, instructions };
+    }
+
+    const prev = cur;
+    const { state: next, lastAction } = step(cur);
+    cur = next;
+    steps++;
+    if (cur.phase === "Execute") instructions++;
+    onStep?.({ step: steps, phase: cur.phase, pc: cur.pc, ir: cur.ir, acc: cur.acc, action: lastAction, state: cur, prev });
+    if (cur.waitingInput) return { state: cur, status: "waiting", steps, instructions };
+  }
+
+  return { state: cur, status: cur.fault ? "fault" : "halted", steps, instructions };
+}
@@ -0,0 +1,61 @@
+/* =========================================================
+   Estadísticas de ejecución (cuello de botella de Von Neumann)
+   Viajan dentro del estado de la CPU, así que se reinician con ella
+   y acompañan a cada instantánea de la línea de tiempo.
+     cycles        → fases ejecutadas (Fetch, Decode, Execute; también la entrada a una interrupción)
+     instructions  → instrucciones completadas
+     byOp          → { OPCODE: veces }
+     fetchReads    → lecturas de instrucciones
+     dataReads / dataWrites → accesos a datos (operandos, punteros, pila)
+     reads / writes → { dirección: veces } (mapa de calor de la grilla)
+     overlaps      → Fetch que en Harvard irían junto al acceso a datos (ver harvard.js)
+   ========================================================= */
+
+export const emptyStats = () => ({
+  cycles: 0, instructions: 0, byOp: {}, fetchReads: 0, dataReads: 0, dataWrites: 0, reads: {}, writes: {}, overlaps: 0,
+});
+
+const bump = (map, key) => ({ ...map, [key]: (map[key] ?? 0) + 1 });
+
+/* Suma un paso a las estadísticas.
+   - access: { fetch: [dir], reads: [dir], writes: [dir] } del paso
+   - op: opcode si el paso completó una instrucción (Execute), si no null
+   - overlap: el Fetch siguiente se solaparía con este acceso a datos (Harvard) */
+export function recordStats(stats = emptyStats(), access, op, overlap = false) {
+  let { reads, writes } = stats;
+  [...access.fetch, ...access.reads].forEach((a) => { reads = bump(reads, a); });
+  access.writes.forEach((a) => { writes = bump(writes, a); });
+  return {
+    ...stats,
+    cycles: stats.cycles + 1,
+    instructions: stats.instructions + (op ? 1 : 0),
+    byOp: op ? bump(stats.byOp, op) : stats.byOp,
+    fetchReads: stats.fetchReads + access.fetch.length,
+    dataReads: stats.dataReads + access.reads.length,
+    dataWrites: stats.dataWrites + access.writes.length,
+    reads,
+    writes,
+    overlaps: (stats.overlaps ?? 0) + (overlap ? 1 : 0),
+  };
+}
+
+/* Resumen para mostrar/exportar: totales, CPI, fracción del tráfico
+   de memoria que se va en traer instrucciones y los ciclos que llevaría
+   el mismo programa en Harvard */
+export function summarizeStats(stats = emptyStats()) {
+  const accesses = stats.fetchReads + stats.dataReads + stats.dataWrites;
+  const overlaps = stats.overlaps ?? 0;
+  const harvardCycles = stats.cycles - overlaps;
+  return {
+    cycles: stats.cycles,
+    instructions: stats.instructions,
+    cpi: stats.instructions ? stats.cycles / stats.instructions : 0,
+    accesses,
+    fetchShare: accesses ? stats.fetchReads / accesses : 0,
+    byOp: Object.entries(stats.byOp).sort((a, b) => b[1] - a[1]),
+    overlaps,
+    harvardCycles,
+    harvardCpi: stats.instructions ? harvardCycles / stats.instructions : 0,
+    speedup: harvardCycles ? stats.cycles / harvardCycles : 1,
+  };
+}
@@ -0,0 +1,54 @@
+import { ADDRESS_OPS, IMMEDIATE_OPS, NO_ARG_OPS } from "./cpuHelpers.js";
+
+/* =========================================================
+   Resaltado de sintaxis del ensamblador (para el editor)
+   Parte una línea en fragmentos { text, type } que, concatenados,
+   reproducen la línea exacta (espacios incluidos):
+     op        → mnemónico conocido (LOAD, JMP, ...)
+     directive → .data / .text / .word / .equ / .vector
+     label     → "nombre:"
+     number    → 12, -3, 0x1F, 0b101
+     register  → IX
+     mode      → "@" del modo indirecto
+     symbol    → nombre de variable/etiqueta/constante
+     comment   → desde // o ; hasta el fin de línea
+     error     → mnemónico desconocido
+     text      → espacios, comas y el resto
+   ========================================================= */
+
+const isOp = (w) => NO_ARG_OPS.has(w) || IMMEDIATE_OPS.has(w) || ADDRESS_OPS.has(w);
+
+// Tipo de una palabra según su posición (la primera de la línea es el mnemónico)
+function wordType(word, first) {
+  if (/^[-+]?(0x[0-9a-f]+|0b[01]+|\d+)$/i.test(word)) return "number";
+  if (word.startsWith(".")) return "directive";
+  if (word.toUpperCase() === "IX" && !first) return "register";
+  if (first) return isOp(word.toUpperCase()) ? "op" : "error";
+  return "symbol";
+}
+
+export function tokenizeLine(line) {
+  const cut = [line.indexOf("//"), line.indexOf(";")].filter((i) => i >= 0);
+  const codeEnd = cut.length ? Math.min(...cut) : line.length;
+  const code = line.slice(0, codeEnd);
+  const parts = [];
+  let first = true;
+
+  const re = /([^\s,:@]+:)|(@)|([^\s,:@]+)|([\s,:]+)/g;
+  let m;
+  while ((m = re.exec(code)) !== null) {
+    const [text, label, at, word] = m;
+    if (label) {
+      parts.push({ text, type: "label" });
+    } else if (at) {
+      parts.push({ text, type: "mode" });
+    } else if (word) {
+      parts.push({ text, type: wordType(word, first) });
+      first = false;
+    } else {
+      parts.push({ text, type: "text" });
+    }
+  }
+  if (codeEnd < line.length) parts.push({ text: line.slice(codeEnd), type: "comment" });
+  return parts;
+}
@@ -0,0 +1,31 @@
+/* =========================================================
+   Celdas de código y de datos (memoria unificada)
+   tags = { dirección: "code" | "data" } (sin entrada = desconocida)
+   - El ensamblador marca instrucciones como código y .word/variables como datos
+   - En ejecución: una celda desconocida que se busca (Fetch) pasa a código;
+     una que se lee o escribe como dato pasa a datos
+   - Alertas: escribir sobre código (código automodificable) y ejecutar
+     datos. En modo estricto la CPU se detiene con ese error.
+     Su texto está en los catálogos ("alert.WRITE_CODE", "alert.EXEC_DATA")
+   ========================================================= */
+
+/* Aplica los accesos de un paso ({ fetch, reads, writes }, ver memoryAccesses)
+   a las etiquetas. Devuelve { tags, alerts: [{ kind, addr }] } */
+export function tagAccesses(tags = {}, access) {
+  let next = tags;
+  const alerts = [];
+  const tag = (addr, kind) => {
+    if (next[addr] === undefined) next = { ...next, [addr]: kind };
+  };
+
+  access.fetch.forEach((addr) => {
+    if (next[addr] === "data") alerts.push({ kind: "EXEC_DATA", addr });
+    tag(addr, "code");
+  });
+  access.reads.forEach((addr) => tag(addr, "data"));
+  access.writes.forEach((addr) => {
+    if (next[addr] === "code") alerts.push({ kind: "WRITE_CODE", addr });
+    tag(addr, "data");
+  });
+  return { tags: next, alerts };
+}
@@ -0,0 +1,94 @@
+import { formatOperand, instrText, memoryAccesses, parseInstr } from "./cpuHelpers.js";
+import { DEFAULT_LANG, translate } from "./i18n.js";
+
+/* =========================================================
+   Traza estructurada de la ejecución
+   Un evento por fase ejecutada (kind "cpu"):
+     { kind, ts, cycle, phase, pc, nextPc, ir, op, arg, accBefore, accAfter,
+       reads: [dir], writes: [{ addr, value }], output, fault, alerts: [{ kind, addr }], msg }
+   (reads: datos leídos en Execute, incluidos punteros y pila, o el vector
+   al entrar a una interrupción)
+   y mensajes de la interfaz (kind "note": { kind, ts, msg }).
+   msg = { code, params } (ver i18n.js): la traza no depende del idioma;
+   la consola de la página es solo una vista traducida de ella. Se puede
+   exportar completa como JSON o CSV.
+   ========================================================= */
+
+/* Evento de la fase prev → next (message = lastAction de step()) */
+export function traceEvent(prev, next, message, ts = null) {
+  const p = parseInstr(next.ir);
+  const executed = prev.phase === "Decode" && next.phase === "Execute";
+  const access = executed || next.phase === "Interrupt" ? memoryAccesses(prev, next) : null;
+  const writes = access ? access.writes.map((addr) => ({ addr, value: next.memory[addr] })) : [];
+  return {
+    kind: "cpu",
+    ts,
+    cycle: next.stats?.cycles ?? null,
+    phase: next.phase,
+    pc: prev.pc,
+    nextPc: next.pc,
+    ir: instrText(next.ir),
+    op: p.op,
+    arg: p.args[0] !== undefined ? formatOperand(p) : null,
+    accBefore: prev.acc,
+    accAfter: next.acc,
+    reads: access ? access.reads : [],
+    writes,
+    output: executed && p.op === "OUT" ? prev.acc : null,
+    fault: next.fault ?? null,
+    alerts: next.tagAlerts ?? [],
+    msg: message,
+  };
+}
+
+export const noteEvent = (message, ts = null) => ({ kind: "note", ts, msg: message });
+
+/* Traza sin las últimas n fases (un futuro descartado al volver atrás): se
+   quitan esos eventos "cpu" y las notas entre ellos; las posteriores (las de
+   "Regreso al ciclo ...") se conservan */
+export function dropLastSteps(events, n) {
+  if (n <= 0) return events;
+  let last = -1;
+  let first = -1;
+  let found = 0;
+  for (let i = events.length - 1; i >= 0 && found < n; i--) {
+    if (events[i].kind !== "cpu") continue;
+    if (last < 0) last = i;
+    first = i;
+    found++;
+  }
+  return last < 0 ? events : [...events.slice(0, first), ...events.slice(last + 1)];
+}
+
+// Línea de consola de un evento en el idioma pedido
+export function describeEvent(e, lang = DEFAULT_LANG) {
+  return translate(lang, e.msg);
+}
+
+export function traceToJSON(events) {
+  return JSON.stringify(events, null, 2);
+}
+
+const CSV_COLUMNS = [
+  "kind", "ts", "cycle", "phase", "pc", "nextPc", "ir", "op", "arg",
+  "accBefore", "accAfter", "reads", "writes", "output", "fault", "alerts", "code", "params",
+];
+
+// Valor de celda CSV (comillas si hace falta; reads como "dir;...", writes como "dir=valor;...", alerts como "TIPO@dir;...",
+// code/params del mensaje, params como JSON)
+function csvCell(key, e) {
+  let v = e[key];
+  if (key === "code") v = e.msg?.code;
+  if (key === "params") v = e.msg?.params && JSON.stringify(e.msg.params);
+  if (key === "reads") v = (e.reads ?? []).join(";");
+  if (key === "writes") v = (e.writes ?? []).map((w) => `${w.addr}=${w.value}`).join(";");
+  if (key === "alerts") v = (e.alerts ?? []).map((a) => `${a.kind}@${a.addr}`).join(";");
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function traceToCSV(events) {
+  const rows = events.map((e) => CSV_COLUMNS.map((k) => csvCell(k, e)).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}